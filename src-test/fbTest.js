@@ -1,5 +1,17 @@
 FbTest = TestCase("FbTest");
 
+FbTest.prototype.setUp = function() {
+  this._bodyLength = document.body.childNodes.length;
+};
+
+FbTest.prototype.tearDown = function() {
+  // The tests share the document, so elements appended by a test must not leak into the next one
+  var body = document.body;
+  while (body.childNodes.length > this._bodyLength) {
+    body.removeChild(body.lastChild);
+  }
+};
+
 
 
 FbTest.prototype.testTreeInsert = function() {
@@ -78,6 +90,262 @@ FbTest.prototype.testTreeSearchInterval = function() {
 };
 
 
+FbTest.prototype._assertTreeValid = function(tree) {
+  var Node = FB.data.Node;
+  var check = function(node) {
+    if (node === null) {
+      return {blackHeight : 1, max : 0};
+    }
+    var left = check(node.getChild(Node.LEFT));
+    var right = check(node.getChild(Node.RIGHT));
+    assertEquals(left.blackHeight, right.blackHeight);
+    if (node.isRed()) {
+      assertTrue(node.getChild(Node.LEFT) === null || node.getChild(Node.LEFT).isBlack());
+      assertTrue(node.getChild(Node.RIGHT) === null || node.getChild(Node.RIGHT).isBlack());
+    }
+    var max = Math.max(node.data.end, left.max, right.max);
+    assertEquals(max, node.getMax());
+    return {blackHeight : left.blackHeight + (node.isBlack() ? 1 : 0), max : max};
+  };
+  if (tree._root !== null) {
+    assertTrue(tree._root.isBlack());
+  }
+  check(tree._root);
+};
+
+FbTest.prototype.testTreeRemove = function() {
+  var tree = this._createTreeTestData();
+  var data = tree.getById(4);
+  assertEquals(data, tree.remove(data));
+  assertEquals(9, tree.getSize());
+  assertNull(tree.getById(4));
+  assertNull(tree.remove(data));
+  this._assertTreeValid(tree);
+
+  var result = tree.getOrderedData();
+  assertEquals(9, result.length);
+  assertEquals(3, result[2].id);
+  assertEquals(5, result[3].id);
+};
+
+FbTest.prototype.testTreeRemoveById = function() {
+  var tree = this._createTreeTestData();
+  var ids = [5, 1, 10, 3, 8, 2, 9, 4, 7, 6];
+  for (var i = 0; i < ids.length; i++) {
+    assertEquals(ids[i], tree.removeById(ids[i]).id);
+    assertEquals(9 - i, tree.getSize());
+    this._assertTreeValid(tree);
+  }
+  assertNull(tree.removeById(5));
+  assertNull(tree.minimum());
+  assertEquals(0, tree.getOrderedData().length);
+};
+
+FbTest.prototype.testTreeRemoveKeepsNodes = function() {
+  var tree = this._createTreeTestData();
+  var nodes = tree.getOrdered();
+  var data = [];
+  for (var i=0; i < nodes.length; i++) {
+    data.push(nodes[i].data);
+  }
+
+  // Nodes with two children are removed without moving data between nodes
+  var Node = FB.data.Node;
+  var removed = tree._root.data;
+  assertNotNull(tree._root.getChild(Node.LEFT));
+  assertNotNull(tree._root.getChild(Node.RIGHT));
+  tree.remove(removed);
+  this._assertTreeValid(tree);
+  assertEquals(9, tree.getOrdered().length);
+  for (var i=0; i < nodes.length; i++) {
+    assertSame(data[i], nodes[i].data);
+  }
+  var first = nodes[0];
+  assertSame(nodes[1], tree.successor(first));
+  assertNull(tree.getById(removed.id));
+};
+
+FbTest.prototype.testTreeDuplicateIds = function() {
+  var tree = this._createTreeTestData();
+  assertException(function() {
+    tree.insert({id : 4, start : 0, end : 10});
+  });
+  assertEquals(10, tree.getSize());
+  assertEquals(40, tree.getById(4).start);
+};
+
+FbTest.prototype.testTreeFromArrayDuplicateIds = function() {
+  var tree = this._createTreeTestData();
+  assertException(function() {
+    tree.bulkLoad([{id : 11, start : 0, end : 10}, {id : 4, start : 5, end : 10}]);
+  });
+  assertEquals(10, tree.getSize());
+  assertNull(tree.getById(11));
+  assertException(function() {
+    FB.data.Tree.fromArray([{id : 1, start : 0, end : 10}, {id : 1, start : 5, end : 10}], FB.ui.calendar.Event.comparator);
+  });
+};
+
+FbTest.prototype.testTreeRemoveMax = function() {
+  var tree = this._createTreeTestData();
+  tree.insert({id : 11, start : 15, end : 700});
+  assertEquals(700, tree._root.getMax());
+  this._assertTreeValid(tree);
+
+  tree.removeById(11);
+  assertEquals(200, tree._root.getMax());
+  this._assertTreeValid(tree);
+  assertEquals(0, tree.searchInterval({start : 600, end : 650}).length);
+};
+
+FbTest.prototype.testTreeFromArray = function() {
+  var data = [];
+  for (var i=1; i <= 100; i++) {
+    data.push({id : i, start : (i * 37) % 100, end : (i * 37) % 100 + i});
+  }
+  data.push({id : 101, start : 0, end : 5});
+  var tree = FB.data.Tree.fromArray(data, FB.ui.calendar.Event.comparator);
+  assertEquals(101, tree.getSize());
+  this._assertTreeValid(tree);
+  assertEquals(6, tree.getBlackHeight());
+
+  var result = tree.getOrderedData();
+  for (var i=1; i < result.length; i++) {
+    assertTrue(result[i - 1].start <= result[i].start);
+  }
+  // Data with the same start keeps its order
+  assertEquals(100, result[0].id);
+  assertEquals(101, result[1].id);
+  assertEquals(data[4], tree.getById(5));
+  var colliding = 0;
+  for (var i=0; i < data.length; i++) {
+    if (FB.ui.calendar.Event.isColliding(data[i], {start : 10, end : 12})) {
+      colliding++;
+    }
+  }
+  assertEquals(colliding, tree.searchInterval({start : 10, end : 12}).length);
+
+  tree.insert({id : 102, start : 50, end : 60});
+  tree.removeById(1);
+  this._assertTreeValid(tree);
+
+  var empty = FB.data.Tree.fromArray([], FB.ui.calendar.Event.comparator);
+  assertEquals(0, empty.getSize());
+  assertNull(empty.minimum());
+};
+
+FbTest.prototype.testTreeMerge = function() {
+  var tree = this._createTreeTestData();
+  var other = FB.data.Tree.fromArray([
+    {id : 11, start : 10, end : 20},
+    {id : 12, start : 55, end : 500}
+  ], FB.ui.calendar.Event.comparator);
+
+  assertSame(tree, tree.merge(other));
+  assertEquals(12, tree.getSize());
+  assertEquals(2, other.getSize());
+  this._assertTreeValid(tree);
+  assertEquals(500, tree._root.getMax());
+
+  var result = tree.getOrderedData();
+  assertEquals(1, result[0].id);
+  assertEquals(11, result[1].id);
+  assertEquals(12, result[6].id);
+
+  tree.bulkLoad([{id : 13, start : 0, end : 10}]);
+  this._assertTreeValid(tree);
+  assertEquals(13, tree.minimum().data.id);
+};
+
+FbTest.prototype.testTreeHalfOpen = function() {
+  var data = [
+    {id : 1, start : 0, end : 60},
+    {id : 2, start : 60, end : 120},
+    {id : 3, start : 90, end : 100}
+  ];
+  var closed = FB.data.Tree.fromArray(data, FB.ui.calendar.Event.comparator);
+  var halfOpen = FB.data.Tree.fromArray(data, FB.ui.calendar.Event.comparator, {halfOpen : true});
+
+  assertEquals(2, closed.searchInterval({start : 0, end : 60}).length);
+  assertEquals(1, halfOpen.searchInterval({start : 0, end : 60}).length);
+  assertEquals(2, halfOpen.searchInterval({start : 59, end : 61}).length);
+  assertFalse(FB.ui.calendar.Event.isColliding(data[0], data[1], true));
+  assertTrue(FB.ui.calendar.Event.isColliding(data[0], data[1]));
+};
+
+FbTest.prototype.testTreeStab = function() {
+  var tree = this._createTreeTestData();
+  var result = tree.stab(105);
+  assertEquals(10, result.length);
+  assertEquals(1, result[0].id);
+  assertEquals(10, result[9].id);
+  assertEquals(2, tree.stab(20).length);
+  assertEquals(1, tree.stab(200).length);
+  assertEquals(0, tree.stab(201).length);
+
+  var halfOpen = FB.data.Tree.fromArray(tree.getOrderedData(), FB.ui.calendar.Event.comparator, {halfOpen : true});
+  assertEquals(0, halfOpen.stab(200).length);
+  assertEquals(9, halfOpen.stab(110).length);
+  assertEquals(10, tree.stab(110).length);
+  assertEquals(0, new FB.data.Tree(FB.ui.calendar.Event.comparator).stab(0).length);
+};
+
+FbTest.prototype.testTreeSearchIntervalReentrant = function() {
+  var tree = this._createTreeTestData();
+  var outer = tree.searchInterval({start : 10, end : 30});
+  for (var i=0; i < outer.length; i++) {
+    assertEquals(i + 1, tree.searchInterval({start : 110 + 10 * i, end : 115 + 10 * i})[0].id);
+  }
+  assertEquals(3, outer.length);
+  assertEquals("undefined", typeof result);
+  assertEquals(0, new FB.data.Tree(FB.ui.calendar.Event.comparator).searchInterval({start : 0, end : 10}).length);
+};
+
+FbTest.prototype.testTreeOrderedSubtree = function() {
+  var tree = this._createTreeTestData();
+  var node = tree._root.getChild(FB.data.Node.LEFT);
+  var data = tree.getOrderedData(node);
+  assertEquals(tree.minimum(node).data, data[0]);
+  assertEquals(tree.maximum(node).data, data[data.length - 1]);
+  assertTrue(data.length < 10);
+
+  var reverse = tree.getReverseOrderedData(node);
+  assertEquals(data.length, reverse.length);
+  assertEquals(data[0], reverse[reverse.length - 1]);
+  assertEquals(10, tree.getOrdered().length);
+};
+
+FbTest.prototype.testTreeCursor = function() {
+  var tree = this._createTreeTestData();
+  var cursor = tree.cursor(35);
+  assertTrue(cursor.hasNext());
+  assertEquals(4, cursor.next().id);
+  assertEquals(5, cursor.next().id);
+  assertEquals(5, cursor.toArray().length);
+  assertNull(cursor.next());
+
+  var result = tree.cursor(0, {limit : 3}).toArray();
+  assertEquals(3, result.length);
+  assertEquals(1, result[0].id);
+
+  result = tree.cursor(20, {end : 50}).toArray();
+  assertEquals(4, result.length);
+  assertEquals(5, result[3].id);
+
+  result = tree.cursor(55, {reverse : true, end : 20, limit : 2}).toArray();
+  assertEquals(2, result.length);
+  assertEquals(5, result[0].id);
+  assertEquals(4, result[1].id);
+  assertEquals(2, tree.cursor(25, {reverse : true}).toArray().length);
+
+  assertFalse(tree.cursor(101).hasNext());
+  assertFalse(tree.cursor(5, {reverse : true}).hasNext());
+
+  var halfOpen = FB.data.Tree.fromArray(tree.getOrderedData(), FB.ui.calendar.Event.comparator, {halfOpen : true});
+  assertEquals(3, halfOpen.cursor(20, {end : 50}).toArray().length);
+};
+
+
 FbTest.prototype.testTreeNode = function() {
   var node = new FB.data.Node({
     id : 1,
@@ -167,14 +435,54 @@ FbTest.prototype.testEventRender = function() {
   var event = new FB.ui.calendar.Event({
     id : 1,
     start:20,
-    end:100
+    end:100,
+    title : "Review",
+    location : "Room <1>"
   });
 
-  var str = "<div id='1' class='event' style='top:20px; left:110px; width:100px; height:80px;'><div class='title'>Sample Item 1</div><div class='subTitle'>Sample Location</div><div></div></div>";
+  var str = "<div id='1' class='event' role='option' tabindex='0' aria-selected='false' aria-label='Review' style='top:20px; left:110px; width:100px; height:80px;'><div class='title'>Review</div><div class='subTitle'>Room &lt;1&gt;</div><div></div></div>";
   assertEquals(str, event.render(100,1));
 };
 
 
+FbTest.prototype.testEventTemplate = function() {
+  var event = new FB.ui.calendar.Event({
+    id : 1,
+    start : 20,
+    end : 100,
+    title : "<b>Review</b>",
+    owner : "Tom & Jerry"
+  });
+
+  event.template = "<p>{title}</p><p>{owner}</p><p>{&title}</p><p>{unknown}</p>";
+  assertEquals("<p>&lt;b&gt;Review&lt;/b&gt;</p><p>Tom &amp; Jerry</p><p><b>Review</b></p><p></p>", event.renderBody());
+
+  event.template = function(values, e) {
+    assertSame(event, e);
+    return values.title + "|" + values.owner;
+  };
+  assertEquals("&lt;b&gt;Review&lt;/b&gt;|Tom &amp; Jerry", event.renderBody());
+
+  assertEquals("&lt;a href=&quot;x&quot;&gt;&#39;", FB.util.Template.escape("<a href=\"x\">'"));
+};
+
+
+FbTest.prototype.testCalendarTemplate = function() {
+  var element = document.createElement("div");
+  document.body.appendChild(element);
+  var calendar = new FB.ui.calendar.Calendar(element, null, {
+    template : "<div class='title'>{title} ({room})</div>"
+  });
+  calendar.layOutDay([
+    {id : "a'b", start : 0, end : 60, title : "Standup", room : "<7>"}
+  ]);
+
+  var eventElement = calendar._eventsElement.firstChild;
+  assertEquals("a'b", eventElement.id);
+  assertEquals("Standup (&lt;7&gt;)", eventElement.firstChild.innerHTML);
+};
+
+
 FbTest.prototype.testEventComparator = function() {
   var Event = FB.ui.calendar.Event;
   var event1 = new Event({
@@ -247,3 +555,1584 @@ FbTest.prototype.testTimeFormat = function() {
   var testTime = Time.format(0);
   assertEquals({"hours":12,"suffix":"AM"},testTime);
 };
+
+
+FbTest.prototype.testTimeFormatLocale = function() {
+  var Time = FB.util.Time;
+  assertEquals({"hours":23,"suffix":""}, Time.format(23, "de"));
+  assertEquals({"hours":11,"suffix":"\u0645"}, Time.format(23, "ar"));
+  assertEquals({"hours":11,"suffix":"PM"}, Time.format(23, "en-US"));
+  assertEquals({"hours":0,"suffix":""}, Time.format(0, "de-AT"));
+
+  assertEquals("9:05 AM", Time.formatTime(9, 5));
+  assertEquals("21:30", Time.formatTime(21, 30, "fr"));
+  assertEquals("\u5348\u5f8c 1:00", Time.formatTime(13, 0, "ja"));
+  assertEquals("13:00", Time.formatTime(13, 0, {hour12 : false}));
+
+  assertTrue(Time.getLocale("he").rtl);
+  assertSame(Time.LOCALES.en, Time.getLocale("xx"));
+
+  Time.LOCALES.pt = {hour12 : false};
+  try {
+    assertEquals("13:00", Time.formatTime(13, 0, "pt-BR"));
+  } finally {
+    delete Time.LOCALES.pt;
+  }
+};
+
+
+FbTest.prototype._createCalendar = function(events) {
+  var element = document.createElement("div");
+  element.id = "calendar";
+  document.body.appendChild(element);
+  var calendar = new FB.ui.calendar.Calendar("calendar");
+  calendar.layOutDay(events);
+  return calendar;
+};
+
+FbTest.prototype.testCalendarAddEvent = function() {
+  var calendar = this._createCalendar([
+    {id : 1, start : 0, end : 60},
+    {id : 2, start : 300, end : 400}
+  ]);
+  var element = document.getElementById("2");
+
+  var event = calendar.addEvent({id : 3, start : 30, end : 90});
+  assertEquals(300, event.width);
+  assertEquals(310, event.left);
+  assertEquals("300px", document.getElementById("1").style.width);
+  assertSame(element, document.getElementById("2"));
+  assertEquals("600px", element.style.width);
+
+  // Ids are unique, the calendar is left unchanged
+  assertException(function() {
+    calendar.addEvent({id : 1, start : 500, end : 560});
+  });
+  assertEquals(0, calendar.getEvent(1).start);
+  assertEquals(3, calendar.getEvents().length);
+};
+
+FbTest.prototype.testCalendarSetEventsDuplicateIds = function() {
+  var calendar = this._createCalendar([
+    {id : 1, start : 0, end : 60},
+    {id : 2, start : 300, end : 400}
+  ]);
+  assertException(function() {
+    calendar.layOutDay([{id : 3, start : 0, end : 60}, {id : 3, start : 100, end : 160}]);
+  });
+  assertException(function() {
+    calendar.setEvents([{id : 4, start : 0, end : 60}, {id : 4, start : 100, end : 160}]);
+  });
+  assertEquals(2, calendar.getEvents().length);
+  assertNotNull(calendar.getEventData(1));
+  assertNull(calendar.getEventData(3));
+  calendar.render();
+  assertNotNull(document.getElementById("2"));
+};
+
+FbTest.prototype.testCalendarRemoveEvent = function() {
+  var calendar = this._createCalendar([
+    {id : 1, start : 0, end : 60},
+    {id : 2, start : 30, end : 90},
+    {id : 3, start : 300, end : 400}
+  ]);
+  var element = document.getElementById("3");
+
+  assertEquals(2, calendar.removeEvent(2).id);
+  assertNull(calendar.removeEvent(2));
+  assertNull(document.getElementById("2"));
+  assertEquals("600px", document.getElementById("1").style.width);
+  assertSame(element, document.getElementById("3"));
+};
+
+FbTest.prototype.testCalendarUpdateEvent = function() {
+  var calendar = this._createCalendar([
+    {id : 1, start : 0, end : 60},
+    {id : 2, start : 30, end : 90},
+    {id : 3, start : 300, end : 400}
+  ]);
+
+  var event = calendar.updateEvent(2, {start : 320, end : 380});
+  assertEquals(60, event.duration);
+  assertEquals("600px", document.getElementById("1").style.width);
+  assertEquals("300px", document.getElementById("2").style.width);
+  assertEquals("300px", document.getElementById("3").style.width);
+  assertEquals("320px", document.getElementById("2").style.top);
+};
+
+
+FbTest.prototype.testLayout = function() {
+  var layout = new FB.ui.calendar.Layout();
+  var result = layout.layOut([
+    {id : 1, start : 30, end : 150},
+    {id : 2, start : 540, end : 600},
+    {id : 3, start : 560, end : 620},
+    {id : 4, start : 610, end : 670}
+  ]);
+
+  assertEquals(4, result.length);
+  assertEquals({id : 1, top : 30, left : 10, width : 600, height : 120, column : 0, columns : 1}, result[0]);
+  assertEquals({id : 2, top : 540, left : 10, width : 300, height : 60, column : 0, columns : 2}, result[1]);
+  assertEquals({id : 3, top : 560, left : 310, width : 300, height : 60, column : 1, columns : 2}, result[2]);
+  assertEquals({id : 4, top : 610, left : 10, width : 300, height : 60, column : 0, columns : 2}, result[3]);
+};
+
+FbTest.prototype.testLayoutDuplicateIds = function() {
+  var layout = new FB.ui.calendar.Layout({width : 200, offset : 0});
+  var events = [
+    {id : 1, start : 30, end : 90},
+    {id : 1, start : 0, end : 60}
+  ];
+  var result = layout.layOut(events);
+
+  assertEquals(2, result.length);
+  assertEquals(0, result[0].top);
+  assertEquals(0, result[0].left);
+  assertEquals(30, result[1].top);
+  assertEquals(100, result[1].left);
+  assertEquals(30, events[0].start);
+};
+
+FbTest.prototype.testLayoutOptions = function() {
+  var layout = new FB.ui.calendar.Layout({width : 200, offset : 0, scale : 2});
+  var result = layout.layOut([
+    {id : 1, start : 0, end : 60},
+    {id : 2, start : 0, end : 30}
+  ]);
+
+  assertEquals(2, result.length);
+  assertEquals(1, result[0].id);
+  assertEquals(0, result[0].left);
+  assertEquals(120, result[0].height);
+  assertEquals(100, result[1].left);
+  assertEquals(100, result[1].width);
+};
+
+FbTest.prototype.testLayoutRtl = function() {
+  var layout = new FB.ui.calendar.Layout({width : 200, rtl : true});
+  var result = layout.layOut([
+    {id : 1, start : 0, end : 60},
+    {id : 2, start : 0, end : 30},
+    {id : 3, start : 90, end : 120}
+  ]);
+
+  assertEquals(100, result[0].left);
+  assertEquals(0, result[1].left);
+  assertEquals(0, result[2].left);
+  assertEquals(200, result[2].width);
+};
+
+FbTest.prototype.testLayoutExpand = function() {
+  var layout = new FB.ui.calendar.Layout({width : 300, offset : 0, expand : true});
+  var result = layout.layOut([
+    {id : 1, start : 0, end : 100},
+    {id : 2, start : 10, end : 50},
+    {id : 3, start : 20, end : 40},
+    {id : 4, start : 60, end : 90}
+  ]);
+
+  assertEquals(1, result[0].id);
+  assertEquals(100, result[0].width);
+  assertEquals(2, result[1].id);
+  assertEquals(100, result[1].width);
+  assertEquals(3, result[2].id);
+  assertEquals(200, result[2].left);
+  assertEquals(100, result[2].width);
+  assertEquals(4, result[3].id);
+  assertEquals(100, result[3].left);
+  assertEquals(200, result[3].width);
+  assertEquals(3, result[3].columns);
+};
+
+
+FbTest.prototype.testWeekView = function() {
+  var element = document.createElement("div");
+  element.id = "week";
+  document.body.appendChild(element);
+
+  var week = new FB.ui.calendar.WeekView("week", [
+    {id : 1, day : new Date(2011, 0, 3), start : 0, end : 60},
+    {id : 2, day : new Date(2011, 0, 3), start : 30, end : 90},
+    {id : 3, day : new Date(2011, 0, 5), start : 0, end : 60},
+    {id : 4, day : new Date(2011, 0, 10), start : 0, end : 60}
+  ], {date : new Date(2011, 0, 5), width : 700});
+
+  assertEquals(new Date(2011, 0, 2), week.getDate());
+  assertEquals(2, week.getCalendar(1).getEvents().length);
+  assertEquals(45, week.getCalendar(1).getEvents()[1].width);
+  assertEquals(1, week.getCalendar(3).getEvents().length);
+  assertEquals(90, week.getCalendar(3).getEvents()[0].width);
+  assertEquals(0, week.getCalendar(0).getEvents().length);
+
+  week.next();
+  assertEquals(new Date(2011, 0, 9), week.getDate());
+  assertEquals(1, week.getCalendar(1).getEvents().length);
+  assertEquals(4, week.getCalendar(1).getEvents()[0].id);
+
+  week.previous();
+  assertEquals(new Date(2011, 0, 2), week.getDate());
+};
+
+FbTest.prototype.testWeekViewDayNames = function() {
+  var WeekView = FB.ui.calendar.WeekView;
+  var monday = new Date(2011, 0, 3);
+  assertEquals("Mon", WeekView.getDayName(monday));
+  assertEquals("Mon", WeekView.getDayName(monday, "en"));
+  assertEquals("Mo", WeekView.getDayName(monday, "de").substring(0, 2));
+  assertEquals("Mon", WeekView.getDayName(monday, {hour12 : false}));
+  assertEquals("Mon", WeekView.getDayName(monday, "not a locale"));
+
+  var element = document.createElement("div");
+  element.id = "week";
+  document.body.appendChild(element);
+  var week = new FB.ui.calendar.WeekView("week", [], {date : monday, locale : "de"});
+  assertEquals(WeekView.getDayName(monday, "de") + " 1/3", week._headerElement.childNodes[1].innerHTML);
+};
+
+FbTest.prototype.testWeekViewEventsWithoutDay = function() {
+  var element = document.createElement("div");
+  element.id = "week";
+  document.body.appendChild(element);
+
+  var week = new FB.ui.calendar.WeekView("week", [
+    {id : 1, start : 0, end : 60}
+  ], {date : new Date(2011, 0, 5)});
+
+  // An event with minutes but without a day is shown on the first day only, its id stays unique
+  assertNotNull(week.getCalendar(0).getEventData(1));
+  for (var i=1; i < 7; i++) {
+    assertNull(week.getCalendar(i).getEventData(1));
+  }
+  assertEquals(1, element.querySelectorAll("[id='1']").length);
+};
+
+FbTest.prototype.testWeekViewRenderDays = function() {
+  var element = document.createElement("div");
+  element.id = "week";
+  document.body.appendChild(element);
+
+  var week = new FB.ui.calendar.WeekView("week", [
+    {id : 1, start : new Date(2011, 0, 4, 10), end : new Date(2011, 0, 4, 11)},
+    {id : 2, start : new Date(2011, 0, 3, 9), end : new Date(2011, 0, 3, 10), rrule : "FREQ=WEEKLY"}
+  ], {date : new Date(2011, 0, 5)});
+
+  // Absolute events are only handed to the calendars of the days around them
+  assertNotNull(week.getCalendar(1).getEventData(2));
+  assertNotNull(week.getCalendar(3).getEventData(1));
+  assertNull(week.getCalendar(5).getEventData(1));
+  assertNull(week.getCalendar(5).getEventData(2));
+  assertEquals(1, week.getCalendar(2).getEvents().length);
+  assertEquals("2:0", week.getCalendar(1).getEvents()[0].id);
+
+  // Each calendar lays out its events once
+  var Calendar = FB.ui.calendar.Calendar;
+  var setEvents = Calendar.prototype._setEvents;
+  var count = 0;
+  Calendar.prototype._setEvents = function() {
+    count++;
+    return setEvents.apply(this, arguments);
+  };
+  try {
+    week.next();
+  } finally {
+    Calendar.prototype._setEvents = setEvents;
+  }
+  assertEquals(7, count);
+  assertEquals("2:1", week.getCalendar(1).getEvents()[0].id);
+};
+
+
+FbTest.prototype.testMonthView = function() {
+  var element = document.createElement("div");
+  element.id = "month";
+  document.body.appendChild(element);
+
+  var dayElement = document.createElement("div");
+  dayElement.id = "day";
+  document.body.appendChild(dayElement);
+  var dayView = new FB.ui.calendar.Calendar("day");
+
+  var events = [];
+  for (var i = 5; i > 0; i--) {
+    events.push({id : i, day : new Date(2011, 0, 3), start : i * 60, end : i * 60 + 30});
+  }
+  events.push({id : 6, day : new Date(2011, 0, 4), start : 0, end : 30});
+
+  var month = new FB.ui.calendar.MonthView("month", events, {date : new Date(2011, 0, 15), dayView : dayView});
+  assertEquals(new Date(2011, 0, 1), month.getDate());
+  assertEquals(42, month.getDays().length);
+  assertEquals(new Date(2010, 11, 26), month.getDays()[0]);
+
+  var ordered = month.getEvents(new Date(2011, 0, 3));
+  assertEquals(5, ordered.length);
+  assertEquals(1, ordered[0].id);
+  assertEquals(5, ordered[4].id);
+
+  var cell = element.firstChild.childNodes[8];
+  assertEquals(4, cell.childNodes.length);
+  assertEquals("10:00 AM", cell.childNodes[1].firstChild.innerHTML);
+  assertEquals("+3 more", cell.childNodes[3].innerHTML);
+
+  cell.childNodes[3].click();
+  assertEquals(new Date(2011, 0, 3), dayView.getDate());
+  assertEquals(5, dayView.getEvents().length);
+
+  month.next();
+  assertEquals(new Date(2011, 1, 1), month.getDate());
+  assertEquals(35, month.getDays().length);
+};
+
+
+FbTest.prototype.testTimeParse = function() {
+  var Time = FB.util.Time;
+  assertEquals(new Date(2011, 0, 3), Time.parse("2011-01-03"));
+  assertEquals(new Date(2011, 0, 3, 10, 30), Time.parse("2011-01-03T10:30"));
+  assertEquals(new Date(2011, 0, 3, 10, 30, 15, 500), Time.parse("2011-01-03T10:30:15.5"));
+  assertEquals(Date.UTC(2011, 0, 3, 10, 30), Time.parse("2011-01-03T10:30:00Z").getTime());
+  assertEquals(Date.UTC(2011, 0, 3, 9, 30), Time.parse("2011-01-03T10:30:00+01:00").getTime());
+  assertEquals(Date.UTC(2011, 0, 3, 15, 0), Time.parse("2011-01-03T10:00:00-0500").getTime());
+  assertException(function() {
+    Time.parse("03.01.2011");
+  });
+};
+
+FbTest.prototype.testCalendarAbsoluteTimes = function() {
+  var element = document.createElement("div");
+  element.id = "calendar";
+  document.body.appendChild(element);
+
+  var calendar = new FB.ui.calendar.Calendar("calendar", null, {date : "2011-01-03", height : 360});
+  var events = calendar.layOutDay([
+    {id : 1, start : "2011-01-03T10:00", end : "2011-01-03T11:00"},
+    {id : 2, start : new Date(2011, 0, 3, 7), end : new Date(2011, 0, 3, 9, 30)},
+    {id : 3, start : "2011-01-03T20:00", end : "2011-01-04T08:00"},
+    {id : 4, start : "2011-01-04T10:00", end : "2011-01-04T11:00"}
+  ]);
+
+  assertEquals(3, events.length);
+  assertEquals(2, events[0].id);
+  assertEquals(0, events[0].start);
+  assertEquals(30, events[0].end);
+  assertEquals(1, events[1].id);
+  assertEquals(60, events[1].start);
+  assertEquals(30, events[1].top);
+  assertEquals(30, events[1].height);
+  assertEquals(3, events[2].id);
+  assertEquals(660, events[2].start);
+  assertEquals(720, events[2].end);
+
+  calendar.setDate(new Date(2011, 0, 4));
+  events = calendar.getEvents();
+  assertEquals(1, events.length);
+  assertEquals(4, events[0].id);
+  assertEquals(60, events[0].start);
+};
+
+
+FbTest.prototype.testICalParse = function() {
+  var ics = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "BEGIN:VEVENT",
+    "UID:1@example.com",
+    "DTSTART:20110103T100000",
+    "DTEND:20110103T113000",
+    "SUMMARY:Planning\\, part 1",
+    "LOCATION:Room 42",
+    "DESCRIPTION:First line\\nsecond",
+    "  line",
+    "END:VEVENT",
+    "BEGIN:VEVENT",
+    "UID:2@example.com",
+    "DTSTART;TZID=\"Europe/Berlin\":20110103T140000Z",
+    "DURATION:PT1H15M",
+    "BEGIN:VALARM",
+    "SUMMARY:Alarm",
+    "END:VALARM",
+    "END:VEVENT",
+    "END:VCALENDAR"
+  ].join("\r\n");
+
+  var events = FB.data.ICal.parse(ics);
+  assertEquals(2, events.length);
+  assertEquals("1@example.com", events[0].id);
+  assertEquals(new Date(2011, 0, 3, 10), events[0].start);
+  assertEquals(new Date(2011, 0, 3, 11, 30), events[0].end);
+  assertEquals("Planning, part 1", events[0].title);
+  assertEquals("Room 42", events[0].location);
+  assertEquals("First line\nsecond line", events[0].description);
+  assertEquals(Date.UTC(2011, 0, 3, 14), events[1].start.getTime());
+  assertEquals(Date.UTC(2011, 0, 3, 15, 15), events[1].end.getTime());
+  assertEquals("", events[1].title);
+
+  var element = document.createElement("div");
+  element.id = "calendar";
+  document.body.appendChild(element);
+  var calendar = new FB.ui.calendar.Calendar("calendar", null, {date : new Date(2011, 0, 3)});
+  calendar.layOutDay([events[0]]);
+  assertEquals(60, calendar.getEvents()[0].start);
+  assertEquals(90, calendar.getEvents()[0].duration);
+};
+
+FbTest.prototype.testICalParseDateWithTimeZone = function() {
+  var events = FB.data.ICal.parse([
+    "BEGIN:VCALENDAR",
+    "BEGIN:VEVENT",
+    "UID:1",
+    "DTSTART;VALUE=DATE;TZID=Asia/Tokyo:20110103",
+    "END:VEVENT",
+    "END:VCALENDAR"
+  ].join("\r\n"));
+
+  // The day ends at midnight in the time zone of the event
+  assertEquals(Date.UTC(2011, 0, 2, 15), events[0].start.getTime());
+  assertEquals(Date.UTC(2011, 0, 3, 15), events[0].end.getTime());
+  assertTrue(events[0].allDay);
+};
+
+FbTest.prototype.testICalParseErrors = function() {
+  var ICal = FB.data.ICal;
+  var error = null;
+  try {
+    ICal.parse("BEGIN:VCALENDAR\nBEGIN:VEVENT\nUID:1\nDTSTART:2011-01-03\nEND:VEVENT\nEND:VCALENDAR");
+  } catch (e) {
+    error = e;
+  }
+  assertEquals(4, error.line);
+  assertEquals("Line 4: Invalid date: 2011-01-03", error.message);
+
+  try {
+    ICal.parse("BEGIN:VCALENDAR\nBEGIN:VEVENT\nDTSTART:20110103\nEND:VEVENT\nEND:VCALENDAR");
+  } catch (e) {
+    error = e;
+  }
+  assertEquals(2, error.line);
+
+  try {
+    ICal.parse("BEGIN:VCALENDAR\nBEGIN:VEVENT\nUID:1\nDTSTART:20110103\nEND:VCALENDAR");
+  } catch (e) {
+    error = e;
+  }
+  assertEquals(5, error.line);
+  try {
+    ICal.parse("BEGIN:VCALENDAR\nBEGIN:VEVENT\nUID:1\nDTSTART;TZID=Foo/Bar:20110103T100000\nEND:VEVENT\nEND:VCALENDAR");
+  } catch (e) {
+    error = e;
+  }
+  assertEquals(4, error.line);
+  assertEquals("Line 4: Unknown time zone: Foo/Bar", error.message);
+};
+
+FbTest.prototype.testICalStringify = function() {
+  var ICal = FB.data.ICal;
+  var ics = ICal.stringify([{
+    id : "1@example.com",
+    start : "2011-01-03T10:00:00Z",
+    end : "2011-01-03T11:30:00Z",
+    title : "Planning; budget, 2011",
+    location : "Room 42\nSecond floor"
+  }], new Date(Date.UTC(2011, 0, 1)));
+
+  assertEquals([
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Facebook//Calendar//EN",
+    "BEGIN:VEVENT",
+    "UID:1@example.com",
+    "DTSTAMP:20110101T000000Z",
+    "DTSTART:20110103T100000Z",
+    "DTEND:20110103T113000Z",
+    "SUMMARY:Planning\\; budget\\, 2011",
+    "LOCATION:Room 42\\nSecond floor",
+    "END:VEVENT",
+    "END:VCALENDAR",
+    ""
+  ].join("\r\n"), ics);
+
+  var line = "DESCRIPTION:" + new Array(101).join("ab");
+  var folded = ICal.fold(line).split("\r\n");
+  assertEquals(3, folded.length);
+  assertEquals(75, folded[0].length);
+  assertEquals(75, folded[1].length);
+  assertEquals(" ", folded[1].charAt(0));
+  assertEquals(line, ICal.unfold(ICal.fold(line))[0].value);
+};
+
+FbTest.prototype.testCalendarICalRoundTrip = function() {
+  var element = document.createElement("div");
+  element.id = "calendar";
+  document.body.appendChild(element);
+
+  var calendar = new FB.ui.calendar.Calendar("calendar", null, {date : new Date(2011, 0, 3)});
+  calendar.layOutDay([
+    {id : "a", start : 30, end : 90, title : "Stand-up, daily", location : "Kitchen"},
+    {id : "b", start : "2011-01-03T20:00", end : "2011-01-04T08:00", title : "Night shift"}
+  ]);
+
+  var events = FB.data.ICal.parse(calendar.toICal());
+  assertEquals(2, events.length);
+  assertEquals("a", events[0].id);
+  assertEquals(new Date(2011, 0, 3, 9, 30), events[0].start);
+  assertEquals(new Date(2011, 0, 3, 10, 30), events[0].end);
+  assertEquals("Stand-up, daily", events[0].title);
+  assertEquals("Kitchen", events[0].location);
+  assertEquals("b", events[1].id);
+  assertEquals(new Date(2011, 0, 4, 8), events[1].end);
+  assertEquals("Night shift", events[1].title);
+};
+
+FbTest.prototype.testCalendarICalRoundTripRecurring = function() {
+  var element = document.createElement("div");
+  element.id = "calendar";
+  document.body.appendChild(element);
+
+  var calendar = new FB.ui.calendar.Calendar("calendar", null, {date : new Date(2011, 0, 4)});
+  calendar.layOutDay([
+    {id : 7, start : new Date(2011, 0, 3, 10), end : new Date(2011, 0, 3, 11), rrule : "FREQ=DAILY;COUNT=5",
+      exdate : [new Date(2011, 0, 5, 10)], title : "Stand-up"},
+    {id : 1, start : 0, end : 30}
+  ]);
+
+  var events = FB.data.ICal.parse(calendar.toICal());
+  assertEquals(2, events.length);
+  assertEquals(1, events[0].id);
+  assertEquals(7, events[1].id);
+  assertEquals(new Date(2011, 0, 3, 10), events[1].start);
+  assertEquals(new Date(2011, 0, 3, 11), events[1].end);
+  assertEquals("FREQ=DAILY;COUNT=5", events[1].rrule);
+  assertEquals(1, events[1].exdate.length);
+  assertEquals(new Date(2011, 0, 5, 10), events[1].exdate[0]);
+
+  // The series shows up on other days after the import
+  calendar.setDate(new Date(2011, 0, 6));
+  calendar.setEvents([events[1]]);
+  assertEquals(1, calendar.getEvents().length);
+  assertEquals("7:3", calendar.getEvents()[0].id);
+  assertEquals(7, calendar.getEvents()[0].seriesId);
+  calendar.setDate(new Date(2011, 0, 5));
+  assertEquals(0, calendar.getEvents().length);
+
+  assertEquals("FREQ=WEEKLY;INTERVAL=2;UNTIL=20110201T000000Z;BYDAY=MO,-1FR",
+    FB.data.Recurrence.stringify(FB.data.Recurrence.parse("FREQ=WEEKLY;INTERVAL=2;UNTIL=20110201T000000Z;BYDAY=MO,-1FR")));
+};
+
+
+FbTest.prototype.testRecurrenceExpand = function() {
+  var Recurrence = FB.data.Recurrence;
+  var event = {
+    id : 1,
+    start : new Date(2011, 0, 3, 10),
+    end : new Date(2011, 0, 3, 11),
+    rrule : "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=5",
+    exdate : [new Date(2011, 0, 10, 10)]
+  };
+  var occurrences = Recurrence.expand(event, new Date(2011, 0, 1), new Date(2011, 1, 1));
+  assertEquals(4, occurrences.length);
+  assertEquals("1:0", occurrences[0].id);
+  assertEquals(1, occurrences[0].seriesId);
+  assertEquals(new Date(2011, 0, 5, 10), occurrences[1].start);
+  assertEquals(new Date(2011, 0, 5, 11), occurrences[1].end);
+  assertEquals("1:3", occurrences[2].id);
+  assertEquals(new Date(2011, 0, 17, 10), occurrences[3].start);
+
+  event.rrule = "FREQ=DAILY;INTERVAL=2;UNTIL=20110109T100000";
+  assertEquals(4, Recurrence.expand(event, new Date(2011, 0, 1), new Date(2011, 1, 1)).length);
+
+  event.rrule = "FREQ=MONTHLY;BYDAY=-1FR";
+  occurrences = Recurrence.expand(event, new Date(2011, 0, 1), new Date(2011, 3, 1));
+  assertEquals(3, occurrences.length);
+  assertEquals(new Date(2011, 0, 28, 10), occurrences[0].start);
+  assertEquals(new Date(2011, 2, 25, 10), occurrences[2].start);
+
+  event.start = new Date(2011, 0, 31, 10);
+  event.end = new Date(2011, 0, 31, 11);
+  event.rrule = "FREQ=MONTHLY";
+  occurrences = Recurrence.expand(event, new Date(2011, 0, 1), new Date(2011, 5, 1));
+  assertEquals(3, occurrences.length);
+  assertEquals(new Date(2011, 2, 31, 10), occurrences[1].start);
+
+  // Ranges far from the start are expanded without walking through all previous periods
+  event.start = new Date(2011, 0, 5, 10);
+  event.end = new Date(2011, 0, 5, 11);
+  event.rrule = "FREQ=WEEKLY;BYDAY=MO,WE";
+  occurrences = Recurrence.expand(event, new Date(2011, 0, 17), new Date(2011, 0, 18));
+  assertEquals(1, occurrences.length);
+  assertEquals("1:3", occurrences[0].id);
+  event.rrule = "FREQ=DAILY";
+  occurrences = Recurrence.expand(event, new Date(2111, 0, 5), new Date(2111, 0, 6));
+  assertEquals(1, occurrences.length);
+  assertEquals("1:" + Math.round((Date.UTC(2111, 0, 5) - Date.UTC(2011, 0, 5)) / 86400000), occurrences[0].id);
+  assertEquals(new Date(2111, 0, 5, 10), occurrences[0].start);
+  event.rrule = "FREQ=MONTHLY;BYDAY=-1FR";
+  event.start = new Date(2011, 0, 28, 10);
+  event.end = new Date(2011, 0, 28, 11);
+  occurrences = Recurrence.expand(event, new Date(2011, 11, 1), new Date(2012, 0, 1));
+  assertEquals(1, occurrences.length);
+  assertEquals("1:11", occurrences[0].id);
+  assertEquals(new Date(2011, 11, 30, 10), occurrences[0].start);
+
+  assertException(function() {
+    Recurrence.parse("FREQ=YEARLY");
+  });
+};
+
+FbTest.prototype.testCalendarRecurringEvents = function() {
+  var element = document.createElement("div");
+  element.id = "calendar";
+  document.body.appendChild(element);
+
+  var Recurrence = FB.data.Recurrence;
+  var calendar = new FB.ui.calendar.Calendar("calendar", null, {date : new Date(2011, 0, 4)});
+  calendar.layOutDay([
+    {id : 1, start : new Date(2011, 0, 3, 10), end : new Date(2011, 0, 3, 11), rrule : "FREQ=DAILY"},
+    {id : 2, start : 0, end : 30}
+  ]);
+  assertEquals(2, calendar.getEvents().length);
+  assertEquals("1:1", calendar.getEvents()[1].id);
+  assertEquals(60, calendar.getEvents()[1].start);
+
+  // Moving a single occurrence detaches it from the series
+  var event = calendar.updateEvent("1:1", {start : new Date(2011, 0, 4, 12), end : new Date(2011, 0, 4, 13)});
+  assertEquals("1:1", event.id);
+  assertEquals(180, event.start);
+  calendar.setDate(new Date(2011, 0, 5));
+  assertEquals(60, calendar.getEvents()[1].start);
+  calendar.setDate(new Date(2011, 0, 4));
+  assertEquals(180, calendar.getEvents()[1].start);
+
+  // Moving the series moves all occurrences
+  calendar.setDate(new Date(2011, 0, 5));
+  event = calendar.updateEvent("1:2", {start : new Date(2011, 0, 5, 9, 30), end : new Date(2011, 0, 5, 10, 30)}, Recurrence.SERIES);
+  assertEquals(30, event.start);
+  calendar.setDate(new Date(2011, 0, 6));
+  assertEquals(30, calendar.getEvents()[1].start);
+
+  // Removing a single occurrence and the whole series
+  calendar.removeEvent("1:3");
+  assertEquals(1, calendar.getEvents().length);
+  calendar.setDate(new Date(2011, 0, 7));
+  assertEquals(2, calendar.getEvents().length);
+  calendar.removeEvent("1:4", Recurrence.SERIES);
+  assertEquals(1, calendar.getEvents().length);
+  calendar.setDate(new Date(2011, 0, 4));
+  assertEquals(2, calendar.getEvents().length);
+
+  // The ids of series return their data and notify the listeners
+  var notified = [];
+  calendar.on("update", function(event) {
+    notified.push("update " + event.id);
+  });
+  calendar.on("remove", function(event) {
+    notified.push("remove " + event.id);
+  });
+  calendar.addEvent({id : 3, start : new Date(2011, 0, 3, 12), end : new Date(2011, 0, 3, 13), rrule : "FREQ=DAILY"});
+  var series = calendar.updateEvent(3, {start : new Date(2011, 0, 3, 14), end : new Date(2011, 0, 3, 15)});
+  assertEquals(3, series.id);
+  assertEquals("FREQ=DAILY", series.rrule);
+  assertEquals(300, calendar.getEvent("3:1").start);
+  series = calendar.removeEvent(3);
+  assertEquals(3, series.id);
+  assertNull(calendar.getEvent("3:1"));
+  assertEquals("update 3,remove 3", notified.join(","));
+};
+
+
+FbTest.prototype.testTimeZone = function() {
+  var TimeZone = FB.util.TimeZone;
+  var date = new Date(Date.UTC(2011, 6, 1, 12));
+  assertEquals(0, TimeZone.getOffset("UTC", date));
+  assertEquals(330, TimeZone.getOffset("+05:30", date));
+  assertEquals(-480, TimeZone.getOffset("-0800", date));
+  assertEquals(120, TimeZone.getOffset("Europe/Berlin", date));
+  assertEquals(60, TimeZone.getOffset("Europe/Berlin", new Date(Date.UTC(2011, 0, 1, 12))));
+
+  var parts = TimeZone.getParts("America/New_York", date);
+  assertEquals(2011, parts.year);
+  assertEquals(6, parts.month);
+  assertEquals(8, parts.hours);
+
+  assertEquals(Date.UTC(2011, 2, 13, 6, 30), TimeZone.toInstant("America/New_York", 2011, 2, 13, 1, 30).getTime());
+  assertEquals(Date.UTC(2011, 2, 13, 7), TimeZone.toInstant("America/New_York", 2011, 2, 13, 3).getTime());
+  assertEquals(Date.UTC(2011, 0, 3, 9), FB.util.Time.parse("2011-01-03T10:00", "Europe/Berlin").getTime());
+};
+
+FbTest.prototype.testCalendarTimeZone = function() {
+  var element = document.createElement("div");
+  element.id = "calendar";
+  document.body.appendChild(element);
+
+  var calendar = new FB.ui.calendar.Calendar("calendar", null, {
+    date : "2011-01-03",
+    timeZone : "America/New_York",
+    from : 0,
+    to : 24,
+    height : 1440
+  });
+  var events = calendar.layOutDay([
+    {id : 1, start : "2011-01-03T10:00", end : "2011-01-03T11:00", timeZone : "Europe/Berlin"},
+    {id : 2, start : "2011-01-03T15:00:00Z", end : "2011-01-03T16:00:00Z"}
+  ]);
+  assertEquals(240, events[0].start);
+  assertEquals(600, events[1].start);
+  assertEquals(600, events[1].top);
+};
+
+FbTest.prototype.testCalendarGetDay = function() {
+  var Calendar = FB.ui.calendar.Calendar;
+  var instant = new Date(Date.UTC(2011, 0, 3, 20));
+  // Date objects and strings are both resolved in the display zone
+  assertEquals(new Date(2011, 0, 4), Calendar.getDay(instant, "Asia/Tokyo"));
+  assertEquals(new Date(2011, 0, 4), Calendar.getDay("2011-01-03T20:00:00Z", "Asia/Tokyo"));
+  assertEquals(new Date(2011, 0, 3), Calendar.getDay(instant, "America/New_York"));
+  assertEquals(new Date(2011, 0, 3), Calendar.getDay("2011-01-03T20:00:00Z", "America/New_York"));
+  assertEquals(new Date(2011, 0, 3), Calendar.getDay("2011-01-03", "Asia/Tokyo"));
+
+  var element = document.createElement("div");
+  element.id = "week";
+  document.body.appendChild(element);
+  var week = new FB.ui.calendar.WeekView("week", [], {date : instant, timeZone : "Pacific/Kiritimati", days : 3});
+  assertEquals(new Date(2011, 0, 4), week.getDate());
+  assertEquals(new Date(2011, 0, 4), week.getCalendar(0).getDate());
+  assertEquals(new Date(2011, 0, 6), week.getCalendar(2).getDate());
+};
+
+FbTest.prototype.testCalendarTimelineDaylightSaving = function() {
+  var element = document.createElement("div");
+  element.id = "calendar";
+  document.body.appendChild(element);
+
+  var calendar = new FB.ui.calendar.Calendar("calendar", null, {
+    date : "2011-03-13",
+    timeZone : "America/New_York",
+    from : 0,
+    to : 24,
+    height : 1380
+  });
+  var timeline = element.firstChild;
+  // 23 hours with two labels each and the closing label
+  assertEquals(47, timeline.childNodes.length);
+  assertEquals("1:30", timeline.childNodes[3].firstChild.innerHTML);
+  assertEquals("3:00 ", timeline.childNodes[4].firstChild.innerHTML);
+  assertEquals("30px", timeline.childNodes[4].style.height);
+
+  var events = calendar.layOutDay([
+    {id : 1, start : "2011-03-13T04:00", end : "2011-03-13T05:00"}
+  ]);
+  assertEquals(180, events[0].start);
+
+  calendar.setDate("2011-11-06");
+  assertEquals(51, timeline.childNodes.length);
+  assertEquals("1:00 ", timeline.childNodes[2].firstChild.innerHTML);
+  assertEquals("1:00 ", timeline.childNodes[4].firstChild.innerHTML);
+};
+
+
+FbTest.prototype.testCalendarTimelineLocale = function() {
+  var element = document.createElement("div");
+  element.id = "calendar";
+  document.body.appendChild(element);
+
+  var calendar = new FB.ui.calendar.Calendar("calendar", null, {
+    date : "2011-03-14",
+    locale : "he"
+  });
+  var timeline = element.firstChild;
+  assertEquals("<span>9:00 </span>", timeline.childNodes[0].innerHTML);
+  assertEquals("<span>13:00 </span>", timeline.childNodes[8].innerHTML);
+  assertEquals("rtl", element.getAttribute("dir"));
+  assertClassName("rtl", element);
+
+  calendar = new FB.ui.calendar.Calendar(document.createElement("div"), null, {
+    date : "2011-03-14",
+    rtl : false,
+    labelFormatter : function(hours, minutes, locale) {
+      return hours + "h" + minutes;
+    }
+  });
+  assertEquals("13h30", calendar._timelineElement.childNodes[9].innerHTML);
+  assertNull(calendar._element.getAttribute("dir"));
+};
+
+
+FbTest.prototype._fireMouseEvent = function(element, type, x, y) {
+  var e = document.createEvent("MouseEvents");
+  e.initMouseEvent(type, true, true, window, 0, x, y, x, y, false, false, false, false, 0, null);
+  element.dispatchEvent(e);
+};
+
+FbTest.prototype._drag = function(element, x, y) {
+  this._fireMouseEvent(element, "mousedown", 10, 10);
+  this._fireMouseEvent(document, "mousemove", 10 + x, 10 + y);
+  this._fireMouseEvent(document, "mouseup", 10 + x, 10 + y);
+};
+
+FbTest.prototype.testCalendarDrag = function() {
+  var changes = [];
+  var element = document.createElement("div");
+  document.body.appendChild(element);
+  var calendar = new FB.ui.calendar.Calendar(element, null, {
+    date : "2011-03-14",
+    draggable : true,
+    onChange : function(event, from, to) {
+      changes.push([event, from, to]);
+    }
+  });
+  calendar.layOutDay([
+    {id : 1, start : 60, end : 120},
+    {id : 2, start : 200, end : 260}
+  ]);
+
+  var eventElement = calendar.getEventElement(1);
+  this._fireMouseEvent(eventElement.firstChild, "mousedown", 10, 10);
+  this._fireMouseEvent(document, "mousemove", 10, 120);
+  assertEquals("165px", eventElement.style.top);
+  assertClassName("dragging", eventElement);
+  this._fireMouseEvent(document, "mouseup", 10, 120);
+
+  assertEquals(1, changes.length);
+  assertSame(calendar.getEvent(1), changes[0][0]);
+  assertEquals({start : 60, end : 120}, changes[0][1]);
+  assertEquals({start : 165, end : 225}, changes[0][2]);
+  // The events collide now
+  assertEquals(300, calendar.getEvent(2).width);
+
+  // Drops are clamped to the displayed time range
+  this._drag(calendar.getEventElement(2), 0, 1000);
+  assertEquals(660, calendar.getEvent(2).start);
+  assertEquals(600, calendar.getEvent(1).width);
+};
+
+FbTest.prototype.testWeekViewDrag = function() {
+  var changes = [];
+  var element = document.createElement("div");
+  element.id = "week";
+  document.body.appendChild(element);
+
+  var week = new FB.ui.calendar.WeekView("week", [
+    {id : 1, day : new Date(2011, 0, 3), start : 0, end : 60},
+    {id : 2, start : "2011-01-04T10:00", end : "2011-01-04T11:00"}
+  ], {
+    date : new Date(2011, 0, 2),
+    width : 700,
+    draggable : true,
+    onChange : function(event, from, to) {
+      changes.push([event, from, to]);
+    }
+  });
+
+  var listened = [];
+  week.getCalendar(3).on("change", function(event) {
+    listened.push(event.id);
+  });
+  this._drag(week.getCalendar(1).getEventElement(1), 200, 30);
+  assertEquals(0, week.getCalendar(1).getEvents().length);
+  assertEquals(30, week.getCalendar(3).getEvent(1).start);
+  assertEquals(1, changes.length);
+  assertEquals({day : new Date(2011, 0, 5), start : 30, end : 90}, changes[0][2]);
+  assertEquals([1], listened);
+
+  this._drag(week.getCalendar(2).getEventElement(2), -100, 0);
+  assertEquals(60, week.getCalendar(1).getEvent(2).start);
+  assertEquals(new Date(2011, 0, 3, 10), changes[1][2].start);
+  assertEquals(new Date(2011, 0, 3, 11), changes[1][2].end);
+
+  // The calendars of the days move the events with the keyboard and keep the move
+  this._fireKeyEvent(week.getCalendar(3).getEventElement(1), 40, true);
+  assertEquals(3, changes.length);
+  assertEquals([1, 1], listened);
+  assertEquals(45, week.getCalendar(3).getEvent(1).start);
+  week.next();
+  week.previous();
+  assertEquals(45, week.getCalendar(3).getEvent(1).start);
+};
+
+FbTest.prototype.testWeekViewDragSameDay = function() {
+  var changes = [];
+  var element = document.createElement("div");
+  element.id = "week";
+  document.body.appendChild(element);
+
+  var week = new FB.ui.calendar.WeekView("week", [
+    {id : 1, day : new Date(2011, 0, 3), start : 60, end : 120}
+  ], {
+    date : new Date(2011, 0, 2),
+    width : 700,
+    draggable : true,
+    onChange : function(event, from, to) {
+      changes.push([event, from, to]);
+    }
+  });
+
+  this._drag(week.getCalendar(1).getEventElement(1), 0, 240);
+  assertEquals(300, week.getCalendar(1).getEvent(1).start);
+  assertEquals(1, changes.length);
+  assertEquals({day : new Date(2011, 0, 3), start : 300, end : 360}, changes[0][2]);
+
+  // The moved time is kept when the week is rendered again
+  week.next();
+  week.previous();
+  assertEquals(300, week.getCalendar(1).getEvent(1).start);
+  assertEquals(360, week.getCalendar(1).getEvent(1).end);
+};
+
+FbTest.prototype.testWeekViewResizeAndCreate = function() {
+  var element = document.createElement("div");
+  element.id = "week";
+  document.body.appendChild(element);
+
+  var week = new FB.ui.calendar.WeekView("week", [
+    {id : 1, day : new Date(2011, 0, 3), start : 60, end : 120},
+    {id : 2, start : 0, end : 30}
+  ], {
+    date : new Date(2011, 0, 2),
+    width : 700,
+    resizable : true,
+    creatable : true,
+    onCreate : function(start, end) {
+      this.addEvent({id : 3, start : start, end : end});
+    }
+  });
+
+  week.getCalendar(1).resizeEvent(1, 500);
+  var top = week.getCalendar(2)._eventsElement.getBoundingClientRect().top;
+  this._fireMouseEvent(week.getCalendar(2)._eventsElement, "dblclick", 10, top + 300);
+  assertNotNull(week.getCalendar(2).getEvent(3));
+
+  // Events without a day are shown on the first day, their changes are kept as well
+  week.getCalendar(0).resizeEvent(2, 45);
+  assertNull(week.getCalendar(4).getEvent(2));
+
+  week.next();
+  week.previous();
+  assertEquals(500, week.getCalendar(1).getEvent(1).end);
+  assertEquals(300, week.getCalendar(2).getEvent(3).start);
+  assertNull(week.getCalendar(3).getEvent(3));
+  assertEquals(45, week.getCalendar(0).getEvent(2).end);
+
+  week.getCalendar(2).removeEvent(3);
+  week.render();
+  assertNull(week.getCalendar(2).getEvent(3));
+};
+
+FbTest.prototype.testCalendarResize = function() {
+  var changes = [];
+  var veto = false;
+  var element = document.createElement("div");
+  document.body.appendChild(element);
+  var calendar = new FB.ui.calendar.Calendar(element, null, {
+    date : "2011-03-14",
+    resizable : true,
+    minDuration : 30,
+    onResize : function(event, from, to) {
+      return !veto;
+    },
+    onChange : function(event, from, to) {
+      changes.push([from, to]);
+    }
+  });
+  calendar.layOutDay([
+    {id : 1, start : 0, end : 60},
+    {id : 2, start : 100, end : 160}
+  ]);
+
+  var handle = calendar.getEventElement(1).lastChild;
+  assertEquals("resizeHandle", handle.className);
+  this._fireMouseEvent(handle, "mousedown", 10, 10);
+  this._fireMouseEvent(document, "mousemove", 10, 60);
+  // The collision group is laid out while resizing
+  assertEquals(105, calendar.getEvent(1).end);
+  assertEquals(300, calendar.getEvent(2).width);
+  this._fireMouseEvent(document, "mousemove", 10, 20);
+  assertEquals(75, calendar.getEvent(1).end);
+  assertEquals(600, calendar.getEvent(2).width);
+  this._fireMouseEvent(document, "mouseup", 10, 20);
+
+  assertEquals([[{start : 0, end : 60}, {start : 0, end : 75}]], changes);
+  assertEquals(75, calendar.getEvent(1).duration);
+
+  // The minimum duration is respected
+  calendar.resizeEvent(1, 300);
+  this._drag(calendar.getEventElement(1).lastChild, 0, -500);
+  assertEquals(30, calendar.getEvent(1).end);
+
+  veto = true;
+  this._drag(calendar.getEventElement(1).lastChild, 0, 200);
+  assertEquals(30, calendar.getEvent(1).end);
+  assertEquals(600, calendar.getEvent(2).width);
+  assertEquals(3, changes.length);
+};
+
+FbTest.prototype.testCalendarCreate = function() {
+  var created = [];
+  var element = document.createElement("div");
+  document.body.appendChild(element);
+  var calendar = new FB.ui.calendar.Calendar(element, null, {
+    date : new Date(2011, 2, 14),
+    creatable : true,
+    onCreate : function(start, end, dates) {
+      created.push([start, end, dates]);
+    }
+  });
+  calendar.layOutDay([]);
+  var top = calendar._eventsElement.getBoundingClientRect().top;
+
+  this._fireMouseEvent(calendar._eventsElement, "mousedown", 10, top + 100);
+  this._fireMouseEvent(document, "mousemove", 10, top + 70);
+  var provisional = calendar._eventsElement.lastChild;
+  assertClassName("provisional", provisional);
+  // The provisional event covers the slot of the start position as well
+  assertEquals("60px", provisional.style.top);
+  assertEquals("45px", provisional.style.height);
+  this._fireMouseEvent(document, "mouseup", 10, top + 70);
+
+  assertEquals(0, calendar._eventsElement.childNodes.length);
+  assertEquals(60, created[0][0]);
+  assertEquals(105, created[0][1]);
+  assertEquals(new Date(2011, 2, 14, 10), created[0][2].start);
+
+  // A click without dragging creates no event
+  this._fireMouseEvent(calendar._eventsElement, "mousedown", 10, top + 100);
+  this._fireMouseEvent(document, "mouseup", 10, top + 100);
+  assertEquals(1, created.length);
+
+  this._fireMouseEvent(calendar._eventsElement, "dblclick", 10, top + 700);
+  assertEquals(690, created[1][0]);
+  assertEquals(720, created[1][1]);
+};
+
+FbTest.prototype.testCalendarListeners = function() {
+  var calls = [];
+  var calendar = this._createCalendar([]);
+  var listener = function(event) {
+    calls.push(["add", event.id]);
+  };
+  calendar.on("add", listener);
+  calendar.on("beforerender", function(events) {
+    calls.push(["beforerender", events.length]);
+  });
+  calendar.on("remove", function(event) {
+    calls.push(["remove", event.id]);
+  });
+  calendar.on("update", function(event) {
+    calls.push(["update", event.start]);
+  });
+
+  calendar.addEvent({id : 1, start : 0, end : 60});
+  calendar.updateEvent(1, {start : 30});
+  calendar.off("add", listener);
+  calendar.addEvent({id : 2, start : 300, end : 360});
+  calendar.off("beforerender");
+  calendar.removeEvent(2);
+
+  assertEquals([["beforerender", 1], ["add", 1], ["beforerender", 1], ["update", 30],
+    ["beforerender", 1], ["remove", 2]], calls);
+
+  // Replacing all events notifies the reset listeners, changing the day does not
+  calls = [];
+  calendar.on("reset", function(events) {
+    calls.push(["reset", events.length, calendar.getEventElement(3) !== null]);
+  });
+  calendar.setEvents([{id : 3, start : 0, end : 60}]);
+  calendar.layOutDay([{id : 3, start : 0, end : 60}, {id : 4, start : 60, end : 120}]);
+  calendar.setDate(new Date(2011, 0, 4));
+  assertEquals([["reset", 1, false], ["reset", 2, true]], calls);
+  calendar.on("veto", function() {
+    return false;
+  });
+  assertFalse(calendar.emit("veto"));
+  assertTrue(calendar.emit("unknown"));
+};
+
+FbTest.prototype.testCalendarInteractionListeners = function() {
+  var calls = [];
+  var calendar = this._createCalendar([
+    {id : 1, start : 0, end : 60, title : "Standup"},
+    {id : 2, start : 300, end : 360}
+  ]);
+  var record = function(type) {
+    calendar.on(type, function(event, previous) {
+      calls.push([type, event ? event.id : null, previous && previous.id ? previous.id : null]);
+    });
+  };
+  record("eventclick");
+  record("eventdblclick");
+  record("eventhover");
+  record("selectionchange");
+
+  var element = calendar.getEventElement(1);
+  this._fireMouseEvent(element.firstChild, "mouseover", 0, 0);
+  this._fireMouseEvent(element.firstChild, "click", 0, 0);
+  assertSame(calendar.getEvent(1), calendar.getSelection());
+  assertClassName("selected", element);
+
+  this._fireMouseEvent(calendar.getEventElement(2), "click", 0, 0);
+  this._fireMouseEvent(calendar.getEventElement(2), "dblclick", 0, 0);
+  assertEquals("event", element.className);
+
+  // The selection is kept when the event is rendered again
+  calendar.updateEvent(2, {end : 400});
+  assertClassName("selected", calendar.getEventElement(2));
+  calendar.removeEvent(2);
+  assertNull(calendar.getSelection());
+
+  assertEquals([["eventhover", 1, null], ["selectionchange", 1, null], ["eventclick", 1, null],
+    ["selectionchange", 2, 1], ["eventclick", 2, null], ["eventdblclick", 2, null],
+    ["selectionchange", null, 2]], calls);
+};
+
+FbTest.prototype._fireKeyEvent = function(element, keyCode, altKey, shiftKey) {
+  var e = document.createEvent("Events");
+  e.initEvent("keydown", true, true);
+  e.keyCode = keyCode;
+  e.altKey = !!altKey;
+  e.shiftKey = !!shiftKey;
+  element.dispatchEvent(e);
+};
+
+FbTest.prototype.testCalendarKeyboard = function() {
+  var opened = [];
+  var element = document.createElement("div");
+  document.body.appendChild(element);
+  var calendar = new FB.ui.calendar.Calendar(element, null, {
+    date : "2011-03-14",
+    draggable : true,
+    resizable : true
+  });
+  calendar.on("eventopen", function(event) {
+    opened.push(event.id);
+  });
+  calendar.layOutDay([
+    {id : 1, start : 0, end : 60, title : "Standup"},
+    {id : 2, start : 30, end : 90},
+    {id : 3, start : 120, end : 180}
+  ]);
+
+  var eventElement = calendar.getEventElement(1);
+  assertEquals("option", eventElement.getAttribute("role"));
+  assertEquals("0", eventElement.getAttribute("tabindex"));
+  assertEquals("Standup, 9:00 AM - 10:00 AM", eventElement.getAttribute("aria-label"));
+  assertEquals("listbox", calendar._eventsElement.getAttribute("role"));
+  assertEquals("grid", calendar._timelineElement.getAttribute("role"));
+  assertEquals("9:30 AM", calendar._timelineElement.childNodes[1].getAttribute("aria-label"));
+
+  this._fireKeyEvent(eventElement, 40);
+  assertSame(calendar.getEvent(2), calendar.getSelection());
+  assertSame(calendar.getEventElement(2), document.activeElement);
+  this._fireKeyEvent(document.activeElement, 37);
+  assertSame(calendar.getEvent(1), calendar.getSelection());
+  this._fireKeyEvent(document.activeElement, 39);
+  this._fireKeyEvent(document.activeElement, 40);
+  assertSame(calendar.getEvent(3), calendar.getSelection());
+  this._fireKeyEvent(document.activeElement, 13);
+  assertEquals([3], opened);
+
+  // Move and resize with the keyboard
+  this._fireKeyEvent(document.activeElement, 40, true);
+  assertEquals(135, calendar.getEvent(3).start);
+  assertSame(calendar.getEventElement(3), document.activeElement);
+  this._fireKeyEvent(document.activeElement, 38, false, true);
+  assertEquals(180, calendar.getEvent(3).end);
+  assertEquals("true", calendar.getEventElement(3).getAttribute("aria-selected"));
+};
+
+FbTest.prototype.testCalendarSiblings = function() {
+  var calendar = this._createCalendar([
+    {id : 1, start : 0, end : 60},
+    {id : 2, start : 0, end : 30},
+    {id : 3, start : 90, end : 120}
+  ]);
+  var cursors = 0;
+  var cursor = calendar._tree.cursor;
+  calendar._tree.cursor = function() {
+    cursors++;
+    return cursor.apply(this, arguments);
+  };
+
+  // The siblings are looked up in the tree
+  var get = function(id, step) {
+    var sibling = calendar._getSibling(calendar.getEvent(id), step);
+    return sibling !== null ? sibling.id : null;
+  };
+  assertEquals(2, get(1, 1));
+  assertEquals(3, get(2, 1));
+  assertNull(get(3, 1));
+  assertEquals(2, get(3, -1));
+  assertEquals(1, get(2, -1));
+  assertNull(get(1, -1));
+  assertEquals(6, cursors);
+};
+
+FbTest.prototype.testCalendarNowIndicator = function() {
+  var now = new Date(2011, 2, 14, 10, 30);
+  var element = document.createElement("div");
+  document.body.appendChild(element);
+  var calendar = new FB.ui.calendar.Calendar(element, null, {
+    date : new Date(2011, 2, 14),
+    nowIndicator : true,
+    clock : function() {
+      return now;
+    }
+  });
+  calendar.layOutDay([{id : 1, start : 0, end : 60}]);
+
+  var nowElement = calendar._eventsElement.lastChild;
+  assertEquals("now", nowElement.className);
+  assertEquals("90px", nowElement.style.top);
+  assertEquals("", nowElement.style.display);
+
+  now = new Date(2011, 2, 14, 12);
+  assertTrue(calendar.updateNow());
+  assertEquals("180px", nowElement.style.top);
+
+  calendar.addEvent({id : 2, start : 100, end : 200});
+  assertSame(nowElement, calendar._eventsElement.firstChild.nextSibling);
+
+  assertNotNull(calendar._nowTimer);
+
+  // The indicator only moves while the displayed day is today
+  calendar.setDate(new Date(2011, 2, 15));
+  assertEquals("none", nowElement.style.display);
+  assertFalse(calendar.updateNow());
+  assertNull(calendar._nowTimer);
+  calendar.setDate(new Date(2011, 2, 14));
+  assertNotNull(calendar._nowTimer);
+  calendar.dispose();
+  assertNull(calendar._nowTimer);
+
+  var other = new FB.ui.calendar.Calendar(element, null, {
+    date : new Date(2011, 2, 13),
+    nowIndicator : true,
+    clock : function() {
+      return now;
+    }
+  });
+  assertNull(other._nowTimer);
+  other.dispose();
+};
+
+FbTest.prototype.testLayoutBanners = function() {
+  var layout = new FB.ui.calendar.Layout({width : 700, offset : 0, bannerHeight : 20});
+  var result = layout.layOutBanners([
+    {id : 1, start : 2, end : 3},
+    {id : 2, start : -1, end : 4},
+    {id : 3, start : 4, end : 9},
+    {id : 4, start : 3, end : 5}
+  ], 7);
+
+  assertEquals([2, 3, 1, 4], [result[0].id, result[1].id, result[2].id, result[3].id]);
+  assertEquals(0, result[0].left);
+  assertEquals(400, result[0].width);
+  assertEquals(400, result[1].left);
+  assertEquals(300, result[1].width);
+  assertEquals(0, result[1].top);
+  assertEquals(20, result[2].top);
+  assertEquals(300, result[3].left);
+  assertEquals(1, result[3].row);
+  assertEquals(2, result[3].rows);
+};
+
+FbTest.prototype.testCalendarAllDayLane = function() {
+  var calendar = this._createCalendar([]);
+  calendar.setDate(new Date(2011, 2, 14));
+  calendar.layOutDay([
+    {id : 1, start : 0, end : 60},
+    {id : 2, allDay : true, start : "2011-03-14", title : "Holiday"},
+    {id : 3, start : new Date(2011, 2, 13, 12), end : new Date(2011, 2, 15, 12), title : "Conference"},
+    {id : 4, allDay : true, start : new Date(2011, 2, 15)}
+  ]);
+
+  assertEquals(1, calendar.getEvents().length);
+  assertEquals([3, 2], [calendar.getBanners()[0].id, calendar.getBanners()[1].id].sort().reverse());
+  var lane = calendar._laneElement;
+  assertEquals(2, lane.childNodes.length);
+  assertEquals("44px", lane.style.height);
+  assertEquals("Holiday", calendar.getEventByElement(lane.childNodes[1]).title);
+
+  var ics = calendar.toICal();
+  assertTrue(ics.indexOf("DTSTART;VALUE=DATE:20110314\r\nDTEND;VALUE=DATE:20110315\r\n") > 0);
+  var parsed = FB.data.ICal.parse(ics);
+  assertFalse(parsed[0].allDay);
+  assertTrue(parsed[1].allDay);
+  assertEquals(new Date(2011, 2, 14), parsed[1].start);
+
+  calendar.addEvent({id : 5, allDay : true, start : "2011-03-13", end : "2011-03-15", title : "<Trip>"});
+  // Longer banners are placed in the upper rows
+  assertEquals(3, lane.childNodes.length);
+  assertEquals("&lt;Trip&gt;", lane.childNodes[1].innerHTML);
+  assertEquals("22px", lane.childNodes[1].style.top);
+  calendar.removeEvent(3);
+  calendar.removeEvent(5);
+  assertEquals("22px", lane.style.height);
+
+  // Shorter events move back to the timeline
+  calendar.addEvent({id : 6, start : new Date(2011, 2, 14, 12), end : new Date(2011, 2, 15, 12)});
+  calendar.updateEvent(6, {end : new Date(2011, 2, 14, 13)});
+  assertEquals(1, calendar.getBanners().length);
+  assertEquals(180, calendar.getEvent(6).start);
+};
+
+FbTest.prototype.testCalendarLaneOffset = function() {
+  var element = document.createElement("div");
+  element.id = "calendar";
+  document.body.appendChild(element);
+
+  var events = [
+    {id : 1, start : 0, end : 60},
+    {id : 2, allDay : true, start : "2011-03-14", title : "Holiday"}
+  ];
+  var calendar = new FB.ui.calendar.Calendar("calendar", null, {date : "2011-03-14", offset : 20});
+  calendar.layOutDay(events);
+  assertEquals(20, calendar.getEvent(1).left);
+  assertEquals("20px", calendar._laneElement.firstChild.style.left);
+  calendar.dispose();
+  document.body.removeChild(element);
+
+  element = document.createElement("div");
+  element.id = "calendar";
+  document.body.appendChild(element);
+  calendar = new FB.ui.calendar.Calendar("calendar", null, {date : "2011-03-14", offset : 20, rtl : true});
+  calendar.layOutDay(events);
+  // Right to left layouts keep the offset on the right side
+  assertEquals(0, calendar.getEvent(1).left);
+  assertEquals("0px", calendar._laneElement.firstChild.style.left);
+  assertEquals(calendar.getEvent(1).width + "px", calendar._laneElement.firstChild.style.width);
+};
+
+FbTest.prototype.testWeekViewAllDayLane = function() {
+  var element = document.createElement("div");
+  element.id = "week";
+  document.body.appendChild(element);
+
+  var week = new FB.ui.calendar.WeekView("week", [
+    {id : 1, allDay : true, start : "2011-01-04", end : "2011-01-07", title : "Offsite"},
+    {id : 2, allDay : true, start : "2011-01-08"},
+    {id : 3, day : new Date(2011, 0, 4), start : 0, end : 60}
+  ], {date : new Date(2011, 0, 2), width : 710});
+
+  var lane = week._laneElement;
+  assertEquals(2, week.getBanners().length);
+  assertEquals("202px", lane.firstChild.style.left);
+  assertEquals("303px", lane.firstChild.style.width);
+  assertEquals(1, week.getCalendar(2).getEvents().length);
+  assertEquals(0, week.getCalendar(3).getEvents().length);
+
+  week.next();
+  assertEquals(0, week.getBanners().length);
+  assertEquals("none", lane.style.display);
+};
+
+FbTest.prototype.testMonthViewAllDay = function() {
+  var element = document.createElement("div");
+  element.id = "month";
+  document.body.appendChild(element);
+
+  var month = new FB.ui.calendar.MonthView("month", [
+    {id : 1, day : new Date(2011, 0, 4), start : 0, end : 30},
+    {id : 2, allDay : true, start : "2011-01-03", end : "2011-01-05", title : "Offsite"}
+  ], {date : new Date(2011, 0, 15)});
+
+  var events = month.getEvents(new Date(2011, 0, 4));
+  assertEquals(2, events.length);
+  assertEquals(2, events[0].id);
+  assertEquals(1, month.getEvents(new Date(2011, 0, 3)).length);
+  assertEquals(0, month.getEvents(new Date(2011, 0, 5)).length);
+};
+
+FbTest.prototype.testMonthViewOrder = function() {
+  var element = document.createElement("div");
+  element.id = "month";
+  document.body.appendChild(element);
+
+  // The events of a day are sorted without a tree, so events with the same id are listed as well
+  var month = new FB.ui.calendar.MonthView("month", [
+    {id : 1, day : new Date(2011, 0, 3), start : 60, end : 90},
+    {id : 2, day : new Date(2011, 0, 3), start : 0, end : 30},
+    {id : 1, day : new Date(2011, 0, 3), start : 60, end : 120}
+  ], {date : new Date(2011, 0, 15)});
+
+  var events = month.getEvents(new Date(2011, 0, 3));
+  assertEquals(3, events.length);
+  assertEquals(2, events[0].id);
+  assertEquals(90, events[1].end);
+  assertEquals(120, events[2].end);
+};
+
+FbTest.prototype.testMonthViewTimes = function() {
+  var element = document.createElement("div");
+  element.id = "month";
+  document.body.appendChild(element);
+
+  // The cells cover the whole days, the times are formatted in the time zone of the event
+  var month = new FB.ui.calendar.MonthView("month", [
+    {id : 1, start : "2011-01-04T07:00", end : "2011-01-04T07:30"},
+    {id : 2, start : "2011-01-04T22:30", end : "2011-01-04T23:00"},
+    {id : 3, start : "2011-01-05T08:00", end : "2011-01-05T09:00", timeZone : "America/New_York"}
+  ], {date : new Date(2011, 0, 15), timeZone : "Europe/Berlin"});
+
+  assertEquals(2, month.getEvents(new Date(2011, 0, 4)).length);
+  var cell = element.firstChild.childNodes[9];
+  assertEquals("7:00 AM", cell.childNodes[1].firstChild.innerHTML);
+  assertEquals("10:30 PM", cell.childNodes[2].firstChild.innerHTML);
+
+  assertEquals(1, month.getEvents(new Date(2011, 0, 5)).length);
+  cell = element.firstChild.childNodes[10];
+  assertEquals("8:00 AM", cell.childNodes[1].firstChild.innerHTML);
+};
+
+FbTest.prototype.testMonthViewBuckets = function() {
+  var element = document.createElement("div");
+  element.id = "month";
+  document.body.appendChild(element);
+
+  var Calendar = FB.ui.calendar.Calendar;
+  var Recurrence = FB.data.Recurrence;
+  var month = new FB.ui.calendar.MonthView("month", [
+    {id : 1, start : new Date(2011, 0, 4, 10), end : new Date(2011, 0, 4, 11)},
+    {id : 2, start : new Date(2011, 0, 3, 9), end : new Date(2011, 0, 3, 10), rrule : "FREQ=WEEKLY"}
+  ], {date : new Date(2011, 0, 15)});
+
+  var createEvent = Calendar.createEvent;
+  var expand = Recurrence.expand;
+  var created = 0;
+  var expanded = 0;
+  Calendar.createEvent = function() {
+    created++;
+    return createEvent.apply(this, arguments);
+  };
+  Recurrence.expand = function() {
+    expanded++;
+    return expand.apply(this, arguments);
+  };
+  try {
+    month.render();
+  } finally {
+    Calendar.createEvent = createEvent;
+    Recurrence.expand = expand;
+  }
+  // Each event is only checked against the days it covers
+  assertEquals(1, expanded);
+  assertEquals(6, created);
+
+  assertEquals(1, month.getEvents(new Date(2011, 0, 3)).length);
+  assertEquals("2:0", month.getEvents(new Date(2011, 0, 3))[0].id);
+  assertEquals(1, month.getEvents(new Date(2011, 0, 4)).length);
+  assertEquals(0, month.getEvents(new Date(2011, 0, 5)).length);
+  assertEquals(1, month._getData(new Date(2011, 0, 10)).length);
+  // Days outside of the grid are collected on demand
+  assertEquals("2:8", month.getEvents(new Date(2011, 1, 28))[0].id);
+};
+
+FbTest.prototype.testCalendarKeyedRender = function() {
+  var calendar = this._createCalendar([
+    {id : 1, start : 0, end : 60},
+    {id : 2, start : 30, end : 90},
+    {id : 3, start : 300, end : 400}
+  ]);
+  var element1 = calendar.getEventElement(1);
+  var element3 = calendar.getEventElement(3);
+  calendar.focus(3);
+
+  calendar.render();
+  assertSame(element1, calendar.getEventElement(1));
+  assertSame(element3, calendar.getEventElement(3));
+  assertSame(element3, document.activeElement);
+
+  calendar.updateEvent(2, {start : 200, end : 260});
+  assertSame(element1, calendar.getEventElement(1));
+  assertEquals("600px", element1.style.width);
+  assertEquals("200px", calendar.getEventElement(2).style.top);
+
+  calendar.layOutDay([{id : 1, start : 0, end : 60}, {id : 4, start : 100, end : 200}]);
+  assertSame(element1, calendar.getEventElement(1));
+  assertNull(calendar.getEventElement(3));
+  assertNull(element3.parentNode);
+  assertEquals(2, calendar._eventsElement.childNodes.length);
+};
+
+FbTest.prototype.testCalendarVirtual = function() {
+  var element = document.createElement("div");
+  document.body.appendChild(element);
+  var events = [];
+  for (var i=0; i < 72; i++) {
+    events.push({id : i + 1, start : i * 10, end : i * 10 + 10});
+  }
+  var calendar = new FB.ui.calendar.Calendar(element, null, {
+    virtual : true,
+    buffer : 20,
+    viewportHeight : 100
+  });
+  calendar.layOutDay(events);
+
+  // The viewport covers 0 - 120px, so only the first 13 events are rendered
+  assertEquals(13, calendar._eventsElement.childNodes.length);
+  assertNotNull(calendar.getEventElement(13));
+  assertNull(calendar.getEventElement(14));
+  assertTrue(calendar.isRendered(calendar.getEvent(72)));
+
+  element.scrollTop = 400;
+  calendar.updateViewport();
+  assertNull(calendar.getEventElement(1));
+  assertEquals("380px", calendar.getEventElement(39).style.top);
+  assertEquals(16, calendar._eventsElement.childNodes.length);
+
+  calendar.addEvent({id : 73, start : 700, end : 710});
+  assertNull(calendar.getEventElement(73));
+  assertTrue(calendar.isRendered(calendar.getEvent(73)));
+
+  calendar.focus(73);
+  assertEquals(700, element.scrollTop);
+  assertSame(calendar.getEventElement(73), document.activeElement);
+  assertNull(calendar.getEventElement(39));
+};
+
+FbTest.prototype.testDisposeRemovesListeners = function() {
+  var element = document.createElement("div");
+  document.body.appendChild(element);
+  var calendar = new FB.ui.calendar.Calendar(element, null, {virtual : true, viewportHeight : 100});
+  calendar.layOutDay([{id : 1, start : 0, end : 60}]);
+  var calls = [];
+  calendar.updateViewport = function() {
+    calls.push("scroll");
+  };
+  calendar._onDomEvent = function(e) {
+    calls.push(e.type);
+  };
+  this._fireMouseEvent(element, "click", 10, 10);
+  calendar.dispose();
+  var scroll = document.createEvent("HTMLEvents");
+  scroll.initEvent("scroll", false, false);
+  element.dispatchEvent(scroll);
+  this._fireMouseEvent(element, "click", 10, 10);
+  assertEquals(["click"], calls);
+
+  var weekElement = document.createElement("div");
+  weekElement.id = "week";
+  document.body.appendChild(weekElement);
+  var week = new FB.ui.calendar.WeekView("week", [
+    {id : 1, start : 0, end : 60}
+  ], {draggable : true});
+  var eventElement = week.getCalendar(0).getEventElement(1);
+  week._startMove = function(e) {
+    calls.push("week " + e.type);
+  };
+  week.dispose();
+  this._fireMouseEvent(eventElement, "mousedown", 10, 10);
+  assertEquals(["click"], calls);
+};
+
+FbTest.prototype.testCalendarHalfOpen = function() {
+  var element = document.createElement("div");
+  document.body.appendChild(element);
+  var events = [
+    {id : 1, start : 0, end : 60},
+    {id : 2, start : 30, end : 60},
+    {id : 3, start : 60, end : 120}
+  ];
+  var calendar = new FB.ui.calendar.Calendar(element, null, {halfOpen : true});
+  calendar.layOutDay(events);
+  assertEquals(600, calendar.getEvent(3).width);
+  assertEquals(1, calendar.getCollisions(calendar.getEvent(3)).length);
+
+  var closed = this._createCalendar(events);
+  assertEquals(300, closed.getEvent(3).width);
+};
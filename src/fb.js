@@ -104,6 +104,16 @@ FB.util = FB.util || {};
   };
   
   
+  /**
+   * Returns the color of a node.
+   *
+   * @returns {Boolean} Node.BLACK | Node.RED
+   */
+  Node.prototype.getColor = function() {
+    return this._color;
+  };
+  
+  
   /**
    * Returns the parent node of this node.
    *
@@ -192,11 +202,49 @@ FB.util = FB.util || {};
      * @constructor
      * @param {Object} comparator The comperator delegate. The delgate gets called whenever a node is added and two nodes have to be compared.
      *                            Returns 0 when the start time of the first event is less than the start time of the second event. 1 for the opposite case.
+     * @param {Object} [options] Custom options. Will be merged with the default options.
      */
-    FB.data.Tree = function(comparator) {
+    FB.data.Tree = function(comparator, options) {
     this._root = null;
     this._comparator = comparator;
     this._size = 0;
+    this._nodesById = {};
+    this._options = Tree.mergeOptions(options);
+  };
+
+
+  /**
+   * Returns the default options of the tree. Used to merge with the custom options.
+   * Intervals are closed by default, so that intervals which touch each other collide.
+   * Half-open intervals [start, end) do not contain their end.
+   *
+   * @returns {Object} The default options.
+   * {
+   *   halfOpen : false
+   * }
+   */
+  Tree.getDefaultOptions = function() {
+    return {
+      halfOpen : false
+    };
+  };
+
+
+  /**
+   * This method is used to merge the custom options with the default
+   * options of the tree.
+   *
+   * @param {Object} options The options to merge with the default options.
+   * @returns {Object} The merged options.
+   */
+  Tree.mergeOptions = function(options) {
+    var mergedOptions = Tree.getDefaultOptions();
+    if (options != null) {
+      for (var key in options) {
+        mergedOptions[key] = options[key];
+      }
+    }
+    return mergedOptions;
   };
 
 
@@ -211,16 +259,31 @@ FB.util = FB.util || {};
 
 
   /**
-   * Inserts a node into the tree.
+   * Checks whether the intervals of the tree are half-open [start, end).
+   *
+   * @returns {Boolean} True when options.halfOpen is set.
+   */
+  Tree.prototype.isHalfOpen = function() {
+    return this._options.halfOpen === true;
+  };
+
+
+  /**
+   * Inserts a node into the tree. The ids of the data have to be unique.
    * 
    * @param {Object} data The data assoicated with the new node.  All methods of the interval interface have to be implemented (id / start / end).
+   * @throws {Error} If the tree already contains data with the same id.
    */  
   Tree.prototype.insert = function(data) {
+    if (this._nodesById[data.id]) {
+      throw new Error("Duplicate id: " + data.id);
+    }
     
     var node = this._insertNode(data);
   
     // Set the maximum for the interval tree
     node.setMax(this._getMax(node));
+    this._updateMax(node.getParent());
     
     while (node != this._root && node.getParent().isRed()) {
       var direction = Node.LEFT;
@@ -287,6 +350,20 @@ FB.util = FB.util || {};
   };
   
   
+  /**
+   * Updates the maximum of the given node and all of its ancestors. Has to be called
+   * whenever the structure or the data of a sub tree has changed.
+   *
+   * @param {FB.data.Node} node The node to start the update from.
+   */
+  Tree.prototype._updateMax = function(node) {
+    while (node != null) {
+      node.setMax(this._getMax(node));
+      node = node.getParent();
+    }
+  };
+
+
   /**
    * Left rotates a node. Used to keep the balance of the red / black tree.
    *
@@ -337,9 +414,9 @@ FB.util = FB.util || {};
     child.setChild(node, direction);
     node.setParent(child);
     
-    // Update the max
+    // Update the max. The node is now a child of the former child, so it has to be updated first.
+    node.setMax(this._getMax(node));
     child.setMax(this._getMax(child));
-    node.setMax(this._getMax(node));	
   };
   
   
@@ -369,10 +446,353 @@ FB.util = FB.util || {};
     }
     
     this._size++;
+    this._nodesById[data.id] = newNode;
     
     return newNode;
   };
   
+  
+  /**
+   * Creates a tree from an array of data. The data is sorted once and the tree is built
+   * bottom-up in linear time afterwards, which is much faster than inserting the data one by one.
+   *
+   * @param {Object[]} data The data to store in the tree. All properties of the interval interface have to be implemented (id / start / end).
+   * @param {Object} comparator The comperator delegate. See FB.data.Tree.
+   * @param {Object} [options] Custom options. See FB.data.Tree.getDefaultOptions.
+   * @returns {FB.data.Tree} The tree.
+   */
+  Tree.fromArray = function(data, comparator, options) {
+    var tree = new Tree(comparator, options);
+    tree.bulkLoad(data);
+    return tree;
+  };
+  
+  
+  /**
+   * Adds an array of data to the tree. The data is sorted and merged with the data
+   * of the tree, then the tree is rebuilt. Data with the same start as existing data
+   * is ordered after it, just like inserted data.
+   *
+   * @param {Object[]} data The data to add. All properties of the interval interface have to be implemented (id / start / end).
+   * @throws {Error} If an id is not unique. The tree is not changed then.
+   */
+  Tree.prototype.bulkLoad = function(data) {
+    this._build(this._merge(this.getOrderedData(), this._sort(data)));
+  };
+  
+  
+  /**
+   * Merges the data of another tree into this tree. The other tree is not changed.
+   *
+   * @param {FB.data.Tree} tree The tree to merge.
+   * @returns {FB.data.Tree} This tree.
+   */
+  Tree.prototype.merge = function(tree) {
+    this._build(this._merge(this.getOrderedData(), tree.getOrderedData()));
+    return this;
+  };
+  
+  
+  /**
+   * Sorts an array of data with the comparator of the tree. Data with the same start
+   * keeps its order.
+   *
+   * @param {Object[]} data The data to sort.
+   * @returns {Object[]} A sorted copy of the data.
+   */
+  Tree.prototype._sort = function(data) {
+    var comparator = this._comparator;
+    var items = [];
+    for (var i=0; i < data.length; i++) {
+      items.push({data : data[i], index : i});
+    }
+    items.sort(function(item1, item2) {
+      if (comparator(item1.data, item2.data) === Node.LEFT) {
+        return -1;
+      }
+      if (comparator(item2.data, item1.data) === Node.LEFT) {
+        return 1;
+      }
+      return item1.index - item2.index;
+    });
+    
+    var sorted = [];
+    for (var i=0; i < items.length; i++) {
+      sorted.push(items[i].data);
+    }
+    return sorted;
+  };
+  
+  
+  /**
+   * Merges two sorted arrays of data in linear time. On equal starts the data of the
+   * first array comes first.
+   *
+   * @param {Object[]} data1 The first sorted array.
+   * @param {Object[]} data2 The second sorted array.
+   * @returns {Object[]} The merged array.
+   */
+  Tree.prototype._merge = function(data1, data2) {
+    var merged = [];
+    var i = 0;
+    var j = 0;
+    while (i < data1.length && j < data2.length) {
+      if (this._comparator(data2[j], data1[i]) === Node.LEFT) {
+        merged.push(data2[j++]);
+      } else {
+        merged.push(data1[i++]);
+      }
+    }
+    while (i < data1.length) {
+      merged.push(data1[i++]);
+    }
+    while (j < data2.length) {
+      merged.push(data2[j++]);
+    }
+    return merged;
+  };
+  
+  
+  /**
+   * Replaces the nodes of the tree with a balanced tree of the given sorted data.
+   * All levels but the deepest one are black, the nodes of the deepest level are red,
+   * so that every path has the same black height.
+   *
+   * @param {Object[]} sorted The sorted data.
+   */
+  Tree.prototype._build = function(sorted) {
+    var ids = {};
+    for (var i=0; i < sorted.length; i++) {
+      if (ids[sorted[i].id] === true) {
+        throw new Error("Duplicate id: " + sorted[i].id);
+      }
+      ids[sorted[i].id] = true;
+    }
+    
+    this._nodesById = {};
+    this._size = sorted.length;
+    var depth = 0;
+    while ((2 << depth) <= sorted.length) {
+      depth++;
+    }
+    this._root = this._buildNode(sorted, 0, sorted.length - 1, 0, depth);
+    if (this._root !== null) {
+      this._root.setColor(Node.BLACK);
+    }
+  };
+  
+  
+  /**
+   * Builds the sub tree of a range of sorted data. The maximum of each node is
+   * calculated after its children were built.
+   *
+   * @param {Object[]} sorted The sorted data.
+   * @param {Integer} from The index of the first data of the sub tree.
+   * @param {Integer} to The index of the last data of the sub tree.
+   * @param {Integer} level The depth of the sub tree root.
+   * @param {Integer} depth The depth of the deepest level of the tree.
+   * @returns {FB.data.Node} The root of the sub tree. Returns 'null' for an empty range.
+   */
+  Tree.prototype._buildNode = function(sorted, from, to, level, depth) {
+    if (from > to) {
+      return null;
+    }
+    var middle = Math.floor((from + to) / 2);
+    var node = new Node(sorted[middle]);
+    node.setColor(level === depth ? Node.RED : Node.BLACK);
+    this._nodesById[node.data.id] = node;
+    
+    var left = this._buildNode(sorted, from, middle - 1, level + 1, depth);
+    var right = this._buildNode(sorted, middle + 1, to, level + 1, depth);
+    node.setChild(left, Node.LEFT);
+    node.setChild(right, Node.RIGHT);
+    if (left !== null) {
+      left.setParent(node);
+    }
+    if (right !== null) {
+      right.setParent(node);
+    }
+    node.setMax(this._getMax(node));
+    return node;
+  };
+  
+  
+  /**
+   * Returns the data with the given id.
+   *
+   * @param {Integer} id The id of the data.
+   * @returns {Object} The data. Returns 'null' if the tree contains no data with the given id.
+   */
+  Tree.prototype.getById = function(id) {
+    var node = this._nodesById[id];
+    return node ? node.data : null;
+  };
+  
+  
+  /**
+   * Removes a node from the tree. The tree is rebalanced afterwards and the maximum
+   * of all affected nodes is updated.
+   *
+   * @param {Object} data The data assoicated with the node to remove.
+   * @returns {Object} The removed data. Returns 'null' if the data is not part of the tree.
+   */
+  Tree.prototype.remove = function(data) {
+    var node = this._nodesById[data.id];
+    if (!node || node.data !== data) {
+      return null;
+    }
+    this._removeNode(node);
+    return data;
+  };
+  
+  
+  /**
+   * Removes the node with the given id from the tree.
+   *
+   * @param {Integer} id The id of the data to remove.
+   * @returns {Object} The removed data. Returns 'null' if the tree contains no data with the given id.
+   */
+  Tree.prototype.removeById = function(id) {
+    var node = this._nodesById[id];
+    if (!node) {
+      return null;
+    }
+    var data = node.data;
+    this._removeNode(node);
+    return data;
+  };
+  
+  
+  /**
+   * Removes a node from the tree. When the node has two children, its successor is
+   * spliced out and takes the place and the color of the node. The remaining nodes keep
+   * their data, so that nodes held by cursors stay valid.
+   *
+   * @param {FB.data.Node} node The node to remove.
+   */
+  Tree.prototype._removeNode = function(node) {
+    delete this._nodesById[node.data.id];
+    
+    var spliced = node; // y
+    if (node.getChild(Node.LEFT) != null && node.getChild(Node.RIGHT) != null) {
+      spliced = this.successor(node);
+    }
+    
+    var child = spliced.getChild(Node.LEFT) || spliced.getChild(Node.RIGHT); // x
+    var parent = spliced.getParent();
+    if (child != null) {
+      child.setParent(parent);
+    }
+    
+    if (parent === null) {
+      this._root = child;
+    } else {
+      parent.setChild(child, spliced == parent.getChild(Node.LEFT) ? Node.LEFT : Node.RIGHT);
+    }
+    
+    var isBlack = spliced.isBlack();
+    if (spliced !== node) {
+      this._replaceNode(node, spliced);
+      spliced.setColor(node.getColor());
+      if (parent === node) {
+        parent = spliced;
+      }
+    }
+    
+    // The spliced node changed the maximum of all ancestors
+    this._updateMax(parent);
+    
+    if (isBlack) {
+      this._checkRemoveViolation(child, parent);
+    }
+    
+    this._size--;
+  };
+  
+  
+  /**
+   * Puts a node into the place of another node. The other node is detached from the tree.
+   *
+   * @param {FB.data.Node} node The node to replace.
+   * @param {FB.data.Node} replacement The node that takes the place.
+   */
+  Tree.prototype._replaceNode = function(node, replacement) {
+    var parent = node.getParent();
+    replacement.setParent(parent);
+    if (parent === null) {
+      this._root = replacement;
+    } else {
+      parent.setChild(replacement, node == parent.getChild(Node.LEFT) ? Node.LEFT : Node.RIGHT);
+    }
+    var directions = [Node.LEFT, Node.RIGHT];
+    for (var i=0; i < directions.length; i++) {
+      var child = node.getChild(directions[i]);
+      replacement.setChild(child, directions[i]);
+      if (child != null) {
+        child.setParent(replacement);
+      }
+      node.setChild(null, directions[i]);
+    }
+    node.setParent(null);
+  };
+  
+  
+  /**
+   * Restores the constraints of a red / black tree after a black node was removed.
+   * Recolors and rotates the nodes until the missing black node is compensated.
+   *
+   * @param {FB.data.Node} node The node that took the place of the removed node. Might be 'null'.
+   * @param {FB.data.Node} parent The parent of the node.
+   */
+  Tree.prototype._checkRemoveViolation = function(node, parent) {
+    while (node !== this._root && this._isBlack(node)) {
+      var direction = (node === parent.getChild(Node.LEFT)) ? Node.LEFT : Node.RIGHT;
+      var otherDirection = (direction === Node.RIGHT ? Node.LEFT : Node.RIGHT);
+      
+      var sibling = parent.getChild(otherDirection);
+      if (sibling.isRed()) {
+        sibling.setColor(Node.BLACK);
+        parent.setColor(Node.RED);
+        this._rotate(parent, direction);
+        sibling = parent.getChild(otherDirection);
+      }
+      
+      if (this._isBlack(sibling.getChild(Node.LEFT)) && this._isBlack(sibling.getChild(Node.RIGHT))) {
+        sibling.setColor(Node.RED);
+        node = parent;
+        parent = node.getParent();
+      } else {
+        if (this._isBlack(sibling.getChild(otherDirection))) {
+          sibling.getChild(direction).setColor(Node.BLACK);
+          sibling.setColor(Node.RED);
+          this._rotate(sibling, otherDirection);
+          sibling = parent.getChild(otherDirection);
+        }
+        sibling.setColor(parent.getColor());
+        parent.setColor(Node.BLACK);
+        sibling.getChild(otherDirection).setColor(Node.BLACK);
+        this._rotate(parent, direction);
+        node = this._root;
+        parent = null;
+      }
+    }
+    
+    if (node != null) {
+      node.setColor(Node.BLACK);
+    }
+  };
+  
+  
+  /**
+   * Checks if a node is black colored. Nil nodes are always black.
+   *
+   * @param {FB.data.Node} node The node to check. Might be 'null'.
+   * @returns {Boolean} True if the node is black colored or 'null'.
+   */
+  Tree.prototype._isBlack = function(node) {
+    return node === null || node.isBlack();
+  };
+  
 
   /**
    * Returns the node that represents the minimum interval. When no node is passed as an argument,
@@ -380,10 +800,13 @@ FB.util = FB.util || {};
    * always the left child until the last node is found.
    *
    * @param {FB.data.Node} [node] The node to start the search from.
-   * @returns {FB.data.Node} The node that represents the minimum interval.
+   * @returns {FB.data.Node} The node that represents the minimum interval. Returns 'null' if the tree is empty.
    */
   Tree.prototype.minimum = function(node) {
     node = node || this._root;
+    if (node === null) {
+      return null;
+    }
     while (node.getChild(Node.LEFT) != null) {
       node = node.getChild(Node.LEFT);
     }
@@ -397,10 +820,13 @@ FB.util = FB.util || {};
    * always the right child until the last node is found.
    *
    * @param {FB.data.Node} [node] The node to start the search from.
-   * @returns {FB.data.Node} The node that represents the maximum interval.
+   * @returns {FB.data.Node} The node that represents the maximum interval. Returns 'null' if the tree is empty.
    */
   Tree.prototype.maximum = function(node) {
     node = node || this._root;
+    if (node === null) {
+      return null;
+    }
     while (node.getChild(Node.RIGHT) != null) {
       node = node.getChild(Node.RIGHT);
     }
@@ -456,12 +882,10 @@ FB.util = FB.util || {};
    * @returns {Object[]} The orderd data.
    */
   Tree.prototype.getOrderedData = function(node) {
-    node = node || this._root;
-    node = this.minimum();
+    var nodes = this.getOrdered(node);
     var data = [];
-    while (node != null) {
-      data.push(node.data);
-      node = this.successor(node);
+    for (var i=0; i < nodes.length; i++) {
+      data.push(nodes[i].data);
     }
     return data;
   }; 
@@ -476,11 +900,13 @@ FB.util = FB.util || {};
    */  
   Tree.prototype.getOrdered = function(node) {
     node = node || this._root;
-    node = this.minimum();
+    var last = this.maximum(node);
     var nodes = [];
-    while (node != null) {
+    for (node = this.minimum(node); node != null; node = this.successor(node)) {
       nodes.push(node);
-      node = this.successor(node);
+      if (node === last) {
+        break;
+      }
     }
     return nodes;
   }; 
@@ -494,43 +920,141 @@ FB.util = FB.util || {};
    * @returns {Object[]} The orderd data.
    */  
   Tree.prototype.getReverseOrderedData = function(node) {
-    node = node || this._root;
-    node = this.maximum();
-    var nodes = [];
+    var nodes = this.getOrdered(node);
+    var data = [];
+    for (var i=nodes.length - 1; i >= 0; i--) {
+      data.push(nodes[i].data);
+    }
+    return data;
+  };
+  
+  
+  /**
+   * Returns a cursor that iterates the intervals lazily, starting at the first interval with
+   * a start greater or equal to the given time. Reverse cursors start at the last interval
+   * with a start less or equal to the given time and walk backwards.
+   *
+   * @param {Number} time The time to start at.
+   * @param {Object} [options] The options of the cursor. See FB.data.Cursor.
+   * @returns {FB.data.Cursor} The cursor.
+   */
+  Tree.prototype.cursor = function(time, options) {
+    var reverse = options != null && options.reverse;
+    return new Cursor(this, reverse ? this._floor(time) : this._ceiling(time), options);
+  };
+  
+  
+  /**
+   * Returns the first node with a start greater or equal to the given time.
+   *
+   * @param {Number} time The time.
+   * @returns {FB.data.Node} The node. Returns 'null' if all intervals start before the time.
+   */
+  Tree.prototype._ceiling = function(time) {
+    var result = null;
+    var node = this._root;
     while (node != null) {
-      nodes.push(node.data);
-      node = this.predecessor(node);
+      if (node.data.start >= time) {
+        result = node;
+        node = node.getChild(Node.LEFT);
+      } else {
+        node = node.getChild(Node.RIGHT);
+      }
     }
-    return nodes;
+    return result;
+  };
+  
+  
+  /**
+   * Returns the last node with a start less or equal to the given time.
+   *
+   * @param {Number} time The time.
+   * @returns {FB.data.Node} The node. Returns 'null' if all intervals start after the time.
+   */
+  Tree.prototype._floor = function(time) {
+    var result = null;
+    var node = this._root;
+    while (node != null) {
+      if (node.data.start <= time) {
+        result = node;
+        node = node.getChild(Node.RIGHT);
+      } else {
+        node = node.getChild(Node.LEFT);
+      }
+    }
+    return result;
   };
   
   
   /**
-   * Returns all intervals which collide with the given interval.
+   * Returns all intervals which collide with the given interval, ordered by their start.
+   * Intervals that only touch the given interval do not collide when options.halfOpen is set.
    * 
    * @param {Object} interval The interval to search for in the tree.  All methods of the interval interface have to be implemented (id / start / end).
    * @param {FB.data.Node} [node] The node to start the search from.
-   * @param {Object[]} The colliding intervals.
+   * @returns {Object[]} The colliding intervals.
    */
   Tree.prototype.searchInterval = function(interval, node) {
-       node = node || this._root;
-       result = [];
+    var halfOpen = this._options.halfOpen;
+    return this._search(node || this._root, function(max) {
+      return halfOpen ? max > interval.start : max >= interval.start;
+    }, function(start) {
+      return halfOpen ? start < interval.end : start <= interval.end;
+    }, function(data) {
+      return Event.isColliding(data, interval, halfOpen);
+    });
+  };
+  
+  
+  /**
+   * Returns all intervals which contain the given point in time, ordered by their start.
+   * The end of an interval is not contained when options.halfOpen is set.
+   * 
+   * @param {Number} time The point in time.
+   * @param {FB.data.Node} [node] The node to start the search from.
+   * @returns {Object[]} The intervals containing the time.
+   */
+  Tree.prototype.stab = function(time, node) {
+    var halfOpen = this._options.halfOpen;
+    var contains = function(end) {
+      return halfOpen ? end > time : end >= time;
+    };
+    return this._search(node || this._root, contains, function(start) {
+      return start <= time;
+    }, function(data) {
+      return data.start <= time && contains(data.end);
+    });
+  };
   
-       var left = node.getChild(Node.LEFT);
-       if (left != null && left.getMax() >= interval.start) {
-         result = result.concat(this.searchInterval(interval, left));
-       }
-       
-       if (Event.isColliding(node.data, interval)) {
-         result.push(node.data);
-       }
-       
-       var right = node.getChild(Node.RIGHT);
-       if (right != null && node.data.start <= interval.end) {
-         result = result.concat(this.searchInterval(interval, right));
-       }
-       
-       return result;
+  
+  /**
+   * Walks the sub tree of a node in order and returns the matching data. Sub trees are
+   * skipped when their maximum or the start of their parent rule out a match. The walk
+   * is iterative, so that deep trees and nested searches are safe.
+   *
+   * @param {FB.data.Node} node The root of the sub tree. May be 'null'.
+   * @param {Function} isAfter Gets called with the maximum of a left sub tree. Returns false when the sub tree can be skipped.
+   * @param {Function} isBefore Gets called with the start of a node. Returns false when its right sub tree can be skipped.
+   * @param {Function} matches Gets called with the data of a node. Returns true when the data matches.
+   * @returns {Object[]} The matching data.
+   */
+  Tree.prototype._search = function(node, isAfter, isBefore, matches) {
+    var result = [];
+    var stack = [];
+    while (node != null || stack.length > 0) {
+      if (node != null) {
+        stack.push(node);
+        var left = node.getChild(Node.LEFT);
+        node = left != null && isAfter(left.getMax()) ? left : null;
+      } else {
+        node = stack.pop();
+        if (matches(node.data)) {
+          result.push(node.data);
+        }
+        node = isBefore(node.data.start) ? node.getChild(Node.RIGHT) : null;
+      }
+    }
+    return result;
   };
   
 
@@ -596,288 +1120,4526 @@ FB.util = FB.util || {};
   };
   
   
-  /** @exports Time as FB.util.Time */
-  var Time = 
+  /** @exports Cursor as FB.data.Cursor */
+  var Cursor = 
     /**
-     * Time util class. Collection of time related methods.
+     * A cursor over the ordered intervals of a tree. The next interval is only looked up
+     * when it is requested, so iterating a few intervals of a large tree is cheap.
+     * Use FB.data.Tree#cursor to create a cursor.
      *
      * @constructor
+     * @param {FB.data.Tree} tree The tree to iterate.
+     * @param {FB.data.Node} node The node of the first interval. 'null' for an empty cursor.
+     * @param {Object} [options] Custom options. Will be merged with the default options.
      */
-    FB.util.Time = function() {};
+    FB.data.Cursor = function(tree, node, options) {
+    this._tree = tree;
+    this._node = node;
+    this._options = Cursor.mergeOptions(options);
+    this._count = 0;
+  };
+  
   
   /**
-   * Returns a localized string of the given hours.
+   * Returns the default options of the cursor. Used to merge with the custom options.
+   * <ul>
+   *   <li>reverse: Whether the cursor walks backwards.</li>
+   *   <li>end: The bound of the start times. Forward cursors stop at intervals starting after it
+   *       (or at it for half-open trees), reverse cursors stop at intervals starting before it.</li>
+   *   <li>limit: The maximum number of intervals the cursor returns.</li>
+   * </ul>
    *
-   * @param {Integer} hours The hours to format.
-   * @returns {String} The formated localized string.
+   * @returns {Object} The default options.
+   * {
+   *   reverse : false,
+   *   end : null,
+   *   limit : null
+   * }
    */
-  Time.format = function(hours) {
-    var suffix = "AM";
-  
-    if (hours >= 12) {
-      suffix = "PM";
+  Cursor.getDefaultOptions = function() {
+    return {
+      reverse : false,
+      end : null,
+      limit : null
+    };
+  };
+  
+  
+  /**
+   * This method is used to merge the custom options with the default
+   * options of the cursor.
+   *
+   * @param {Object} options The options to merge with the default options.
+   * @returns {Object} The merged options.
+   */
+  Cursor.mergeOptions = function(options) {
+    var mergedOptions = Cursor.getDefaultOptions();
+    if (options != null) {
+      for (var key in options) {
+        mergedOptions[key] = options[key];
+      }
+    }
+    return mergedOptions;
+  };
+  
+  
+  /**
+   * Checks whether the cursor has more intervals.
+   *
+   * @returns {Boolean} True when FB.data.Cursor#next returns an interval.
+   */
+  Cursor.prototype.hasNext = function() {
+    var options = this._options;
+    if (this._node === null || (options.limit !== null && this._count >= options.limit)) {
+      return false;
+    }
+    if (options.end === null) {
+      return true;
+    }
+    var start = this._node.data.start;
+    if (options.reverse) {
+      return start >= options.end;
+    }
+    return this._tree.isHalfOpen() ? start < options.end : start <= options.end;
+  };
+  
+  
+  /**
+   * Returns the next interval and moves the cursor to its successor, or its predecessor
+   * for reverse cursors.
+   *
+   * @returns {Object} The interval. Returns 'null' if the cursor has no more intervals.
+   */
+  Cursor.prototype.next = function() {
+    if (!this.hasNext()) {
+      return null;
+    }
+    var data = this._node.data;
+    this._node = this._options.reverse ? this._tree.predecessor(this._node) : this._tree.successor(this._node);
+    this._count++;
+    return data;
+  };
+  
+  
+  /**
+   * Returns the remaining intervals of the cursor.
+   *
+   * @returns {Object[]} The intervals.
+   */
+  Cursor.prototype.toArray = function() {
+    var data = [];
+    while (this.hasNext()) {
+      data.push(this.next());
+    }
+    return data;
+  };
+  
+  
+  /** @exports ICal as FB.data.ICal */
+  var ICal = 
+    /**
+     * iCalendar (RFC 5545) util class. Converts iCalendar data into event objects
+     * that can be passed to FB.ui.calendar.Calendar.
+     *
+     * @constructor
+     */
+    FB.data.ICal = function() {};
+  
+  
+  /**
+   * Parses an iCalendar string and returns all events of the VEVENT components.
+   * Supports the SUMMARY, LOCATION, DESCRIPTION, UID, DTSTART, DTEND, DURATION, RRULE and EXDATE properties.
+   * The UIDs are returned as strings, unless they were written as numbers by ICal.stringify.
+   * Throws an error containing the line number, when the data is invalid. The line number
+   * is available in the 'line' property of the error as well.
+   *
+   * @param {String} text The iCalendar data.
+   * @returns {Object[]} The events.
+   * {
+   *   id : {String|Number},
+   *   start : {Date},
+   *   end : {Date},
+   *   timeZone : {String},
+   *   title : {String},
+   *   location : {String},
+   *   description : {String},
+   *   rrule : {String}, (only recurring events)
+   *   exdate : {Date[]} (only recurring events with exceptions)
+   * }
+   */
+  ICal.parse = function(text) {
+    var lines = ICal.unfold(text);
+    var events = [];
+    var components = [];
+    var event = null;
+    
+    for (var i=0; i < lines.length; i++) {
+      var line = lines[i];
+      var property = ICal.parseProperty(line.value, line.number);
+      
+      if (property.name == "BEGIN") {
+        components.push({name : property.value.toUpperCase(), number : line.number});
+        if (property.value.toUpperCase() == "VEVENT") {
+          event = {number : line.number, properties : {}, exdates : []};
+        }
+      } else if (property.name == "END") {
+        var component = components.pop();
+        if (!component || component.name != property.value.toUpperCase()) {
+          ICal._throwError("Unexpected END:" + property.value, line.number);
+        }
+        if (component.name == "VEVENT") {
+          events.push(ICal._createEvent(event));
+          event = null;
+        }
+      } else if (event !== null && components[components.length - 1].name == "VEVENT") {
+        if (property.name == "EXDATE") {
+          // Exceptions may be spread over several properties
+          event.exdates.push(property);
+        } else if (!event.properties[property.name]) {
+          event.properties[property.name] = property;
+        }
+      }
+    }
+    
+    if (components.length > 0) {
+      var component = components.pop();
+      ICal._throwError("Missing END:" + component.name, component.number);
+    }
+    
+    return events;
+  };
+  
+  
+  /**
+   * Unfolds the lines of an iCalendar string. Lines starting with a space or
+   * a tab are appended to the previous line.
+   *
+   * @param {String} text The iCalendar data.
+   * @returns {Object[]} The unfolded lines and the number of the line where they start.
+   * {
+   *   value : {String},
+   *   number : {Integer}
+   * }
+   */
+  ICal.unfold = function(text) {
+    var rawLines = text.split(/\r\n|\n|\r/);
+    var lines = [];
+    for (var i=0; i < rawLines.length; i++) {
+      var rawLine = rawLines[i];
+      var first = rawLine.charAt(0);
+      if ((first == " " || first == "\t") && lines.length > 0) {
+        lines[lines.length - 1].value += rawLine.substring(1);
+      } else if (rawLine.length > 0) {
+        lines.push({value : rawLine, number : i + 1});
+      }
+    }
+    return lines;
+  };
+  
+  
+  /**
+   * Parses a content line, e.g. "DTSTART;TZID=Europe/Berlin:20110103T100000".
+   *
+   * @param {String} line The unfolded content line.
+   * @param {Integer} number The line number. Used for error reporting.
+   * @returns {Object} The property.
+   * {
+   *   name : {String},
+   *   params : {Object},
+   *   value : {String},
+   *   number : {Integer}
+   * }
+   */
+  ICal.parseProperty = function(line, number) {
+    var quoted = false;
+    var index = -1;
+    for (var i=0; i < line.length; i++) {
+      var character = line.charAt(i);
+      if (character == '"') {
+        quoted = !quoted;
+      } else if (character == ":" && !quoted) {
+        index = i;
+        break;
+      }
+    }
+    if (index <= 0) {
+      ICal._throwError("Invalid content line: " + line, number);
+    }
+    
+    var parts = line.substring(0, index).split(";");
+    var params = {};
+    for (var i=1; i < parts.length; i++) {
+      var param = parts[i].split("=");
+      params[param[0].toUpperCase()] = param.slice(1).join("=").replace(/^"|"$/g, "");
+    }
+    
+    return {
+      name : parts[0].toUpperCase(),
+      params : params,
+      value : line.substring(index + 1),
+      number : number
+    };
+  };
+  
+  
+  /**
+   * Parses a DATE or DATE-TIME value. Values with a trailing "Z" are UTC times, all
+   * other values are interpreted in the given time zone or as local time.
+   *
+   * @param {String} value The value, e.g. "20110103", "20110103T100000" or "20110103T100000Z".
+   * @param {Integer} number The line number. Used for error reporting.
+   * @param {String} [timeZone] The time zone (TZID parameter). See FB.util.TimeZone.
+   * @returns {Date} The date.
+   */
+  ICal.parseDate = function(value, number, timeZone) {
+    var match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+    if (match === null) {
+      ICal._throwError("Invalid date: " + value, number);
+    }
+    if (!TimeZone.isSupported(timeZone)) {
+      ICal._throwError("Unknown time zone: " + timeZone, number);
+    }
+    var year = parseInt(match[1], 10);
+    var month = parseInt(match[2], 10) - 1;
+    var day = parseInt(match[3], 10);
+    var hours = parseInt(match[4] || 0, 10);
+    var minutes = parseInt(match[5] || 0, 10);
+    var seconds = parseInt(match[6] || 0, 10);
+    if (match[7]) {
+      return new Date(Date.UTC(year, month, day, hours, minutes, seconds));
+    }
+    return TimeZone.toInstant(timeZone, year, month, day, hours, minutes, seconds);
+  };
+  
+  
+  /**
+   * Parses a DURATION value, e.g. "PT1H30M" or "P1D".
+   *
+   * @param {String} value The value.
+   * @param {Integer} number The line number. Used for error reporting.
+   * @returns {Integer} The duration in milliseconds.
+   */
+  ICal.parseDuration = function(value, number) {
+    var match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value);
+    if (match === null || value.charAt(value.length - 1) == "P" || value.charAt(value.length - 1) == "T") {
+      ICal._throwError("Invalid duration: " + value, number);
+    }
+    var seconds = parseInt(match[2] || 0, 10) * 604800
+      + parseInt(match[3] || 0, 10) * 86400
+      + parseInt(match[4] || 0, 10) * 3600
+      + parseInt(match[5] || 0, 10) * 60
+      + parseInt(match[6] || 0, 10);
+    return (match[1] == "-" ? -1 : 1) * seconds * 1000;
+  };
+  
+  
+  /**
+   * Unescapes a TEXT value.
+   *
+   * @param {String} value The escaped value.
+   * @returns {String} The unescaped value.
+   */
+  ICal.unescape = function(value) {
+    return value.replace(/\\([\\;,nN])/g, function(match, character) {
+      return (character == "n" || character == "N") ? "\n" : character;
+    });
+  };
+  
+  
+  /**
+   * Creates an event object of the collected properties of a VEVENT component.
+   *
+   * @param {Object} component The VEVENT component.
+   * @returns {Object} The event.
+   */
+  ICal._createEvent = function(component) {
+    var properties = component.properties;
+    if (!properties.UID) {
+      ICal._throwError("Missing UID in VEVENT", component.number);
+    }
+    if (!properties.DTSTART) {
+      ICal._throwError("Missing DTSTART in VEVENT", component.number);
+    }
+    
+    var dtstart = properties.DTSTART;
+    var timeZone = dtstart.params.TZID || null;
+    var start = ICal.parseDate(dtstart.value, dtstart.number, timeZone);
+    var isDate = dtstart.params.VALUE == "DATE" || dtstart.value.length == 8;
+    
+    var end = null;
+    if (properties.DTEND) {
+      end = ICal.parseDate(properties.DTEND.value, properties.DTEND.number, properties.DTEND.params.TZID || timeZone);
+    } else if (properties.DURATION) {
+      end = new Date(start.getTime() + ICal.parseDuration(properties.DURATION.value, properties.DURATION.number));
+    } else if (isDate) {
+      // A day long event, when only the date is given. The next day starts at midnight in the time zone of the event
+      var value = dtstart.value;
+      end = TimeZone.toInstant(timeZone, parseInt(value.substring(0, 4), 10), parseInt(value.substring(4, 6), 10) - 1, parseInt(value.substring(6, 8), 10) + 1);
+    } else {
+      end = new Date(start.getTime());
+    }
+    if (end.getTime() < start.getTime()) {
+      ICal._throwError("The end of the event is before its start", (properties.DTEND || properties.DURATION).number);
+    }
+    
+    var id = ICal.unescape(properties.UID.value);
+    if (properties.UID.params[ICal.TYPE_PARAM] == "NUMBER") {
+      id = Number(id);
+    }
+    var event = {
+      id : id,
+      start : start,
+      end : end,
+      timeZone : timeZone,
+      allDay : isDate,
+      title : properties.SUMMARY ? ICal.unescape(properties.SUMMARY.value) : "",
+      location : properties.LOCATION ? ICal.unescape(properties.LOCATION.value) : "",
+      description : properties.DESCRIPTION ? ICal.unescape(properties.DESCRIPTION.value) : ""
+    };
+    
+    if (properties.RRULE) {
+      try {
+        Recurrence.parse(properties.RRULE.value);
+      } catch (e) {
+        ICal._throwError(e.message, properties.RRULE.number);
+      }
+      event.rrule = properties.RRULE.value;
+    }
+    if (component.exdates.length > 0) {
+      event.exdate = [];
+      for (var i=0; i < component.exdates.length; i++) {
+        var exdate = component.exdates[i];
+        var values = exdate.value.split(",");
+        for (var j=0; j < values.length; j++) {
+          event.exdate.push(ICal.parseDate(values[j], exdate.number, exdate.params.TZID || timeZone));
+        }
+      }
+    }
+    return event;
+  };
+  
+  
+  /**
+   * Converts events into an iCalendar string. Each event becomes a VEVENT component
+   * containing the UID, DTSTAMP, DTSTART, DTEND, SUMMARY, LOCATION and DESCRIPTION properties.
+   * The times are written in UTC. Recurring events are written with their RRULE and EXDATE
+   * properties in the wall time of their time zone, so that the occurrences keep following
+   * daylight saving time. Numeric ids are marked, so that ICal.parse restores them as numbers.
+   *
+   * @param {Object[]} events The events. Each event consists of an id, a start and an end time (Date or ISO 8601 string)
+   *                          and an optional title, location and description. All-day events (allDay) are written
+   *                          as DATE values, their end day is exclusive. Recurring events provide a rule (rrule),
+   *                          optional exceptions (exdate) and an optional time zone (timeZone).
+   * @param {Date} [stamp] The time the data was created. Defaults to now.
+   * @returns {String} The iCalendar data.
+   */
+  ICal.stringify = function(events, stamp) {
+    stamp = ICal.formatDate(stamp || new Date());
+    
+    var lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:" + ICal.PRODUCT_ID];
+    for (var i=0; i < events.length; i++) {
+      var event = events[i];
+      lines.push("BEGIN:VEVENT");
+      lines.push("UID" + (typeof event.id == "number" ? ";" + ICal.TYPE_PARAM + "=NUMBER" : "") + ":" + ICal.escape(String(event.id)));
+      lines.push("DTSTAMP:" + stamp);
+      if (event.rrule) {
+        var timeZone = event.timeZone || null;
+        lines.push(ICal._formatZoned("DTSTART", [Time.parse(event.start, timeZone)], timeZone));
+        lines.push(ICal._formatZoned("DTEND", [Time.parse(event.end, timeZone)], timeZone));
+        lines.push("RRULE:" + Recurrence.stringify(event.rrule));
+        if (event.exdate && event.exdate.length > 0) {
+          var exdates = [];
+          for (var j=0; j < event.exdate.length; j++) {
+            exdates.push(Time.parse(event.exdate[j], timeZone));
+          }
+          lines.push(ICal._formatZoned("EXDATE", exdates, timeZone));
+        }
+      } else if (event.allDay) {
+        var start = Time.getDay(Time.parse(event.start));
+        var end = event.end != null ? Time.getDay(Time.parse(event.end)) : new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1);
+        lines.push("DTSTART;VALUE=DATE:" + ICal.formatDay(start));
+        lines.push("DTEND;VALUE=DATE:" + ICal.formatDay(end));
+      } else {
+        lines.push("DTSTART:" + ICal.formatDate(Time.parse(event.start)));
+        lines.push("DTEND:" + ICal.formatDate(Time.parse(event.end)));
+      }
+      if (event.title) {
+        lines.push("SUMMARY:" + ICal.escape(event.title));
+      }
+      if (event.location) {
+        lines.push("LOCATION:" + ICal.escape(event.location));
+      }
+      if (event.description) {
+        lines.push("DESCRIPTION:" + ICal.escape(event.description));
+      }
+      lines.push("END:VEVENT");
+    }
+    lines.push("END:VCALENDAR");
+    
+    for (var i=0; i < lines.length; i++) {
+      lines[i] = ICal.fold(lines[i]);
+    }
+    return lines.join("\r\n") + "\r\n";
+  };
+  
+  
+  /**
+   * The product identifier written to the PRODID property.
+   * @constant
+   */
+  ICal.PRODUCT_ID = "-//Facebook//Calendar//EN";
+  
+  
+  /**
+   * The parameter of the UID property that marks numeric ids.
+   * @constant
+   */
+  ICal.TYPE_PARAM = "X-FB-TYPE";
+  
+  
+  /**
+   * Formats a content line with DATE-TIME values in the wall time of a time zone, e.g.
+   * "DTSTART;TZID=Europe/Berlin:20110103T100000". Times without a time zone are written
+   * as local times, times with a fixed UTC offset in UTC.
+   *
+   * @param {String} name The name of the property.
+   * @param {Date[]} dates The dates.
+   * @param {String} timeZone The time zone. 'null' for the local time zone.
+   * @returns {String} The content line.
+   */
+  ICal._formatZoned = function(name, dates, timeZone) {
+    var isFixed = timeZone != null && TimeZone.parseOffset(timeZone) !== null;
+    var values = [];
+    for (var i=0; i < dates.length; i++) {
+      values.push(isFixed ? ICal.formatDate(dates[i]) : ICal.formatWallTime(dates[i], timeZone));
+    }
+    return name + (timeZone != null && !isFixed ? ";TZID=" + timeZone : "") + ":" + values.join(",");
+  };
+  
+  
+  /**
+   * Formats a date as a DATE-TIME value in the wall time of a time zone, e.g. "20110103T100000".
+   *
+   * @param {Date} date The date to format.
+   * @param {String} timeZone The time zone. 'null' for the local time zone.
+   * @returns {String} The formated date.
+   */
+  ICal.formatWallTime = function(date, timeZone) {
+    var pad = function(value) {
+      return (value < 10 ? "0" : "") + value;
+    };
+    var parts = TimeZone.getParts(timeZone, date);
+    return parts.year + pad(parts.month + 1) + pad(parts.day)
+      + "T" + pad(parts.hours) + pad(parts.minutes) + pad(parts.seconds);
+  };
+  
+  
+  /**
+   * Formats a date as an UTC DATE-TIME value, e.g. "20110103T100000Z".
+   *
+   * @param {Date} date The date to format.
+   * @returns {String} The formated date.
+   */
+  ICal.formatDate = function(date) {
+    var pad = function(value) {
+      return (value < 10 ? "0" : "") + value;
+    };
+    return date.getUTCFullYear() + pad(date.getUTCMonth() + 1) + pad(date.getUTCDate())
+      + "T" + pad(date.getUTCHours()) + pad(date.getUTCMinutes()) + pad(date.getUTCSeconds()) + "Z";
+  };
+  
+  
+  /**
+   * Formats a day as a DATE value, e.g. "20110103".
+   *
+   * @param {Date} date The day to format.
+   * @returns {String} The formated day.
+   */
+  ICal.formatDay = function(date) {
+    var pad = function(value) {
+      return (value < 10 ? "0" : "") + value;
+    };
+    return date.getFullYear() + pad(date.getMonth() + 1) + pad(date.getDate());
+  };
+  
+  
+  /**
+   * Escapes a TEXT value.
+   *
+   * @param {String} value The value to escape.
+   * @returns {String} The escaped value.
+   */
+  ICal.escape = function(value) {
+    return value.replace(/([\\;,])/g, "\\$1").replace(/\r\n|\n|\r/g, "\\n");
+  };
+  
+  
+  /**
+   * Folds a content line, so that no line is longer than 75 octets (UTF-8).
+   * Continuation lines start with a space.
+   *
+   * @param {String} line The content line.
+   * @returns {String} The folded line.
+   */
+  ICal.fold = function(line) {
+    var result = "";
+    var octets = 0;
+    for (var i=0; i < line.length; i++) {
+      var character = line.charAt(i);
+      var code = line.charCodeAt(i);
+      // Surrogate pairs must not be split
+      if (code >= 0xD800 && code <= 0xDBFF && i + 1 < line.length) {
+        character += line.charAt(++i);
+      }
+      var size = code < 0x80 ? 1 : code < 0x800 ? 2 : character.length > 1 ? 4 : 3;
+      if (octets + size > 75) {
+        result += "\r\n ";
+        octets = 1;
+      }
+      result += character;
+      octets += size;
+    }
+    return result;
+  };
+  
+  
+  /**
+   * Throws a parse error.
+   *
+   * @param {String} message The error message.
+   * @param {Integer} [number] The line number where the error occured.
+   */
+  ICal._throwError = function(message, number) {
+    var error = new Error((number != null ? "Line " + number + ": " : "") + message);
+    error.line = number;
+    throw error;
+  };
+  
+  
+  /** @exports Recurrence as FB.data.Recurrence */
+  var Recurrence = 
+    /**
+     * Recurrence util class. Expands recurring events into their occurrences. Supports
+     * a subset of the iCalendar (RFC 5545) RRULE: FREQ (DAILY / WEEKLY / MONTHLY), INTERVAL,
+     * COUNT, UNTIL and BYDAY, as well as EXDATE exceptions.
+     *
+     * @constructor
+     */
+    FB.data.Recurrence = function() {};
+  
+  
+  /**
+   * Constant to change or remove a single occurrence of a recurring event.
+   * @constant
+   */
+  Recurrence.OCCURRENCE = "occurrence";
+  
+  
+  /**
+   * Constant to change or remove all occurrences of a recurring event.
+   * @constant
+   */
+  Recurrence.SERIES = "series";
+  
+  
+  /**
+   * The iCalendar names of the week days, starting with sunday.
+   * @constant
+   */
+  Recurrence.DAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+  
+  
+  /**
+   * Parses a recurrence rule.
+   *
+   * @param {String|Object} rule The rule, e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE". Rules that are already parsed are returned as they are.
+   * @returns {Object} The parsed rule.
+   * {
+   *   freq : {String},
+   *   interval : {Integer},
+   *   count : {Integer},
+   *   until : {Date},
+   *   byDay : {Object[]} ({day : {Integer}, ordinal : {Integer}})
+   * }
+   */
+  Recurrence.parse = function(rule) {
+    if (typeof rule != "string") {
+      return rule;
+    }
+    
+    var result = {
+      freq : null,
+      interval : 1,
+      count : null,
+      until : null,
+      byDay : []
+    };
+    
+    var parts = rule.replace(/^RRULE:/i, "").split(";");
+    for (var i=0; i < parts.length; i++) {
+      var part = parts[i].split("=");
+      var value = part[1];
+      switch (part[0].toUpperCase()) {
+        case "FREQ":
+          result.freq = value.toUpperCase();
+          break;
+        case "INTERVAL":
+          result.interval = parseInt(value, 10);
+          break;
+        case "COUNT":
+          result.count = parseInt(value, 10);
+          break;
+        case "UNTIL":
+          result.until = /^\d{8}/.test(value) ? ICal.parseDate(value) : Time.parse(value);
+          break;
+        case "BYDAY":
+          var days = value.split(",");
+          for (var j=0; j < days.length; j++) {
+            var match = /^([+-]?\d+)?([A-Z]{2})$/.exec(days[j].toUpperCase());
+            if (match === null) {
+              throw new Error("Invalid BYDAY: " + days[j]);
+            }
+            result.byDay.push({
+              day : Recurrence._indexOf(Recurrence.DAYS, match[2]),
+              ordinal : match[1] ? parseInt(match[1], 10) : 0
+            });
+          }
+          break;
+      }
+    }
+    
+    if (result.freq != "DAILY" && result.freq != "WEEKLY" && result.freq != "MONTHLY") {
+      throw new Error("Unsupported FREQ: " + result.freq);
+    }
+    if (!(result.interval > 0)) {
+      throw new Error("Invalid INTERVAL: " + result.interval);
+    }
+    
+    return result;
+  };
+  
+  
+  /**
+   * Converts a recurrence rule into its iCalendar representation.
+   *
+   * @param {String|Object} rule The rule. See Recurrence.parse.
+   * @returns {String} The rule without the "RRULE:" prefix, e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE".
+   */
+  Recurrence.stringify = function(rule) {
+    if (typeof rule == "string") {
+      return rule.replace(/^RRULE:/i, "");
+    }
+    var parts = ["FREQ=" + rule.freq];
+    if (rule.interval > 1) {
+      parts.push("INTERVAL=" + rule.interval);
+    }
+    if (rule.count != null) {
+      parts.push("COUNT=" + rule.count);
+    }
+    if (rule.until != null) {
+      parts.push("UNTIL=" + ICal.formatDate(rule.until));
+    }
+    if (rule.byDay && rule.byDay.length > 0) {
+      var days = [];
+      for (var i=0; i < rule.byDay.length; i++) {
+        days.push((rule.byDay[i].ordinal || "") + Recurrence.DAYS[rule.byDay[i].day]);
+      }
+      parts.push("BYDAY=" + days.join(","));
+    }
+    return parts.join(";");
+  };
+  
+  
+  /**
+   * Expands a recurring event into all occurrences that overlap the given time range.
+   * Each occurrence is a copy of the event with its own id, start and end time. The id
+   * consists of the id of the event and the index of the occurrence.
+   *
+   * @param {Object} event The recurring event. Has to provide an absolute start and end time, the rule (rrule) and
+   *                       optional exceptions (exdate, an array of dates).
+   * @param {Date} from The start of the range.
+   * @param {Date} to The end of the range.
+   * @param {String} [timeZone] The time zone to use, when the event has no time zone. The occurrences keep the
+   *                            wall time of the first occurrence in the time zone of the event.
+   * @returns {Object[]} The occurrences.
+   */
+  Recurrence.expand = function(event, from, to, timeZone) {
+    timeZone = event.timeZone || timeZone || null;
+    var start = Time.parse(event.start, timeZone);
+    var duration = Time.parse(event.end, timeZone).getTime() - start.getTime();
+    var rule = Recurrence.parse(event.rrule);
+    
+    var exdates = {};
+    var exdate = event.exdate || [];
+    for (var i=0; i < exdate.length; i++) {
+      exdates[Time.parse(exdate[i], timeZone).getTime()] = true;
+    }
+    
+    // Periods before the range cannot contain an overlapping occurrence and are skipped
+    var first = Math.max(Recurrence._getPeriod(start, rule, new Date(from.getTime() - duration), timeZone), 0);
+    var last = Recurrence._getPeriod(start, rule, to, timeZone);
+    var occurrences = [];
+    var index = Recurrence._countDates(start, rule, first, timeZone);
+    for (var period = first; period <= last; period++) {
+      var dates = Recurrence._getDates(start, rule, period, timeZone);
+      for (var i=0; i < dates.length; i++) {
+        var date = dates[i];
+        if (date.getTime() < start.getTime()) {
+          continue;
+        }
+        if ((rule.count !== null && index >= rule.count) || (rule.until !== null && date.getTime() > rule.until.getTime()) || date.getTime() >= to.getTime()) {
+          return occurrences;
+        }
+        if (!exdates[date.getTime()] && date.getTime() + duration > from.getTime()) {
+          occurrences.push(Recurrence._createOccurrence(event, date, duration, index));
+        }
+        index++;
+      }
+    }
+    return occurrences;
+  };
+  
+  
+  /**
+   * Returns the index of the period of the rule that contains the day of a date.
+   *
+   * @param {Date} start The start of the first occurrence.
+   * @param {Object} rule The parsed rule.
+   * @param {Date} date The date.
+   * @param {String} timeZone The time zone of the event.
+   * @returns {Integer} The index of the period. Negative for dates before the first period.
+   */
+  Recurrence._getPeriod = function(start, rule, date, timeZone) {
+    var startParts = TimeZone.getParts(timeZone, start);
+    var parts = TimeZone.getParts(timeZone, date);
+    if (rule.freq == "MONTHLY") {
+      return Math.floor(((parts.year - startParts.year) * 12 + parts.month - startParts.month) / rule.interval);
+    }
+    var startDay = Date.UTC(startParts.year, startParts.month, startParts.day);
+    var days = Math.round((Date.UTC(parts.year, parts.month, parts.day) - startDay) / 86400000);
+    if (rule.freq == "DAILY") {
+      return Math.floor(days / rule.interval);
+    }
+    if (rule.byDay.length > 0) {
+      // The periods start on the monday of the first week
+      days += (new Date(startDay).getUTCDay() + 6) % 7;
+    }
+    return Math.floor(days / (rule.interval * 7));
+  };
+  
+  
+  /**
+   * Counts the candidate dates of the rule before a period, starting with the first occurrence.
+   *
+   * @param {Date} start The start of the first occurrence.
+   * @param {Object} rule The parsed rule.
+   * @param {Integer} period The index of the period.
+   * @param {String} timeZone The time zone of the event.
+   * @returns {Integer} The number of dates.
+   */
+  Recurrence._countDates = function(start, rule, period, timeZone) {
+    var count = 0;
+    // The first period may contain dates before the start, the number of dates of a month varies
+    var counted = rule.freq == "MONTHLY" ? period : Math.min(period, 1);
+    for (var i=0; i < counted; i++) {
+      var dates = Recurrence._getDates(start, rule, i, timeZone);
+      for (var j=0; j < dates.length; j++) {
+        if (dates[j].getTime() >= start.getTime()) {
+          count++;
+        }
+      }
+    }
+    if (counted < period) {
+      count += (period - counted) * Recurrence._getDates(start, rule, counted, timeZone).length;
+    }
+    return count;
+  };
+  
+  
+  /**
+   * Returns the candidate dates of a period of the rule. A period is a day, a week
+   * or a month, depending on the frequency of the rule.
+   *
+   * @param {Date} start The start of the first occurrence.
+   * @param {Object} rule The parsed rule.
+   * @param {Integer} period The index of the period.
+   * @param {String} timeZone The time zone of the event.
+   * @returns {Date[]} The ordered dates.
+   */
+  Recurrence._getDates = function(start, rule, period, timeZone) {
+    var parts = TimeZone.getParts(timeZone, start);
+    var year = parts.year;
+    var month = parts.month;
+    var day = parts.day;
+    var create = function(year, month, day) {
+      return TimeZone.toInstant(timeZone, year, month, day, parts.hours, parts.minutes, parts.seconds);
+    };
+    // Calendar calculations are done in UTC, so that they are not affected by daylight saving time
+    var weekDay = function(year, month, day) {
+      return new Date(Date.UTC(year, month, day)).getUTCDay();
+    };
+    var dates = [];
+    
+    if (rule.freq == "DAILY") {
+      dates.push(create(year, month, day + period * rule.interval));
+    } else if (rule.freq == "WEEKLY") {
+      if (rule.byDay.length === 0) {
+        dates.push(create(year, month, day + period * rule.interval * 7));
+      } else {
+        // Weeks start on monday
+        var monday = day - (weekDay(year, month, day) + 6) % 7 + period * rule.interval * 7;
+        for (var i=0; i < rule.byDay.length; i++) {
+          dates.push(create(year, month, monday + (rule.byDay[i].day + 6) % 7));
+        }
+      }
+    } else {
+      var first = new Date(Date.UTC(year, month + period * rule.interval, 1));
+      year = first.getUTCFullYear();
+      month = first.getUTCMonth();
+      var length = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+      if (rule.byDay.length === 0) {
+        // Months without the day of the start are skipped
+        if (day <= length) {
+          dates.push(create(year, month, day));
+        }
+      } else {
+        for (var i=0; i < rule.byDay.length; i++) {
+          var matches = [];
+          for (var d = 1; d <= length; d++) {
+            if (weekDay(year, month, d) === rule.byDay[i].day) {
+              matches.push(d);
+            }
+          }
+          var ordinal = rule.byDay[i].ordinal;
+          if (ordinal === 0) {
+            for (var j=0; j < matches.length; j++) {
+              dates.push(create(year, month, matches[j]));
+            }
+          } else {
+            var match = matches[ordinal > 0 ? ordinal - 1 : matches.length + ordinal];
+            if (match) {
+              dates.push(create(year, month, match));
+            }
+          }
+        }
+      }
+    }
+    
+    return dates.sort(function(date1, date2) {
+      return date1.getTime() - date2.getTime();
+    });
+  };
+  
+  
+  /**
+   * Creates an occurrence of a recurring event.
+   *
+   * @param {Object} event The recurring event.
+   * @param {Date} date The start of the occurrence.
+   * @param {Integer} duration The duration of the event in milliseconds.
+   * @param {Integer} index The index of the occurrence.
+   * @returns {Object} The occurrence.
+   */
+  Recurrence._createOccurrence = function(event, date, duration, index) {
+    var occurrence = {};
+    for (var key in event) {
+      if (key != "rrule" && key != "exdate") {
+        occurrence[key] = event[key];
+      }
+    }
+    occurrence.id = event.id + ":" + index;
+    occurrence.start = date;
+    occurrence.end = new Date(date.getTime() + duration);
+    occurrence.seriesId = event.id;
+    occurrence.recurrenceId = date;
+    return occurrence;
+  };
+  
+  
+  /**
+   * Returns the index of a value in an array.
+   *
+   * @param {Array} array The array to search in.
+   * @param {Object} value The value to search for.
+   * @returns {Integer} The index. -1 when the array does not contain the value.
+   */
+  Recurrence._indexOf = function(array, value) {
+    for (var i=0; i < array.length; i++) {
+      if (array[i] === value) {
+        return i;
+      }
+    }
+    return -1;
+  };
+  
+  
+  /** @exports Time as FB.util.Time */
+  var Time = 
+    /**
+     * Time util class. Collection of time related methods.
+     *
+     * @constructor
+     */
+    FB.util.Time = function() {};
+  
+  /**
+   * Returns the localized hours and the day period suffix (e.g. "AM") of the given hours.
+   * Locales using the 24-hour format return the hours as they are and an empty suffix.
+   *
+   * @param {Integer} hours The hours to format.
+   * @param {String|Object} [locale] The locale name (e.g. "de") or a locale object. Defaults to "en". See Time.LOCALES.
+   * @returns {Object} The formated localized hours.
+   * {
+   *   hours : {Integer},
+   *   suffix : {String}
+   * }
+   */
+  Time.format = function(hours, locale) {
+    locale = Time.getLocale(locale);
+    if (!locale.hour12) {
+      return {
+        hours : hours,
+        suffix : ""
+      };
+    }
+    
+    var suffix = locale.am;
+  
+    if (hours >= 12) {
+      suffix = locale.pm;
       hours = hours - 12;
     }
-
-    if (hours == 0) {
-      hours = 12;
+
+    if (hours == 0) {
+      hours = 12;
+    }
+
+    return {
+      hours : hours,
+      suffix : suffix
+    };
+  };
+  
+  
+  /**
+   * Returns a localized string of the given time, e.g. "9:30 AM" or "21:30".
+   *
+   * @param {Integer} hours The hours to format.
+   * @param {Integer} minutes The minutes to format.
+   * @param {String|Object} [locale] The locale name or a locale object. Defaults to "en".
+   * @returns {String} The formated localized string.
+   */
+  Time.formatTime = function(hours, minutes, locale) {
+    locale = Time.getLocale(locale);
+    var time = Time.format(hours, locale);
+    var text = time.hours + ":" + (minutes < 10 ? "0" : "") + minutes;
+    if (!time.suffix) {
+      return text;
+    }
+    return locale.prefix ? time.suffix + " " + text : text + " " + time.suffix;
+  };
+  
+  
+  /**
+   * The supported locales. A locale defines whether the 12-hour format is used (hour12),
+   * the day period markers (am / pm), whether the markers precede the time (prefix) and
+   * whether the locale is written from right to left (rtl). Custom locales can be added
+   * to this map, e.g. Time.LOCALES["pt"] = {hour12 : false}.
+   */
+  Time.LOCALES = {
+    "en" : {hour12 : true, am : "AM", pm : "PM"},
+    "en-GB" : {hour12 : false},
+    "de" : {hour12 : false},
+    "fr" : {hour12 : false},
+    "es" : {hour12 : false},
+    "it" : {hour12 : false},
+    "nl" : {hour12 : false},
+    "ar" : {hour12 : true, am : "\u0635", pm : "\u0645", rtl : true},
+    "fa" : {hour12 : false, rtl : true},
+    "he" : {hour12 : false, rtl : true},
+    "ja" : {hour12 : true, am : "\u5348\u524d", pm : "\u5348\u5f8c", prefix : true},
+    "ko" : {hour12 : true, am : "\uc624\uc804", pm : "\uc624\ud6c4", prefix : true},
+    "zh" : {hour12 : true, am : "\u4e0a\u5348", pm : "\u4e0b\u5348", prefix : true}
+  };
+  
+  
+  /**
+   * Returns a locale. Falls back to the language of the locale (e.g. "de" for "de-AT") and
+   * to "en" when the locale is not supported.
+   *
+   * @param {String|Object} [locale] The locale name or a locale object.
+   * @returns {Object} The locale object.
+   */
+  Time.getLocale = function(locale) {
+    if (locale != null && typeof locale == "object") {
+      return locale;
+    }
+    locale = locale || "en";
+    return Time.LOCALES[locale] || Time.LOCALES[locale.split("-")[0]] || Time.LOCALES.en;
+  };
+  
+  
+  /**
+   * Parses a date. Accepts Date objects, timestamps and ISO 8601 strings
+   * (e.g. "2011-01-03", "2011-01-03T10:30", "2011-01-03T10:30:00Z" or "2011-01-03T10:30:00+01:00").
+   * Strings without a time zone are interpreted in the given time zone or as local time.
+   *
+   * @param {Date|String|Integer} value The value to parse.
+   * @param {String} [timeZone] The time zone of strings without a time zone. See FB.util.TimeZone.
+   * @returns {Date} The parsed date.
+   */
+  Time.parse = function(value, timeZone) {
+    if (value instanceof Date) {
+      return new Date(value.getTime());
+    }
+    if (typeof value == "number") {
+      return new Date(value);
+    }
+    
+    var match = Time.ISO_8601.exec(value);
+    if (match === null) {
+      throw new Error("Invalid date: " + value);
+    }
+    
+    var year = parseInt(match[1], 10);
+    var month = parseInt(match[2], 10) - 1;
+    var day = parseInt(match[3], 10);
+    var hours = parseInt(match[4] || 0, 10);
+    var minutes = parseInt(match[5] || 0, 10);
+    var seconds = parseInt(match[6] || 0, 10);
+    var milliseconds = match[7] ? Math.round(parseFloat("0." + match[7]) * 1000) : 0;
+    
+    if (!match[8]) {
+      return TimeZone.toInstant(timeZone, year, month, day, hours, minutes, seconds, milliseconds);
+    }
+    
+    var offset = 0;
+    if (match[8] != "Z") {
+      var sign = match[8].charAt(0) == "-" ? -1 : 1;
+      offset = sign * (parseInt(match[9], 10) * 60 + parseInt(match[10], 10));
+    }
+    return new Date(Date.UTC(year, month, day, hours, minutes, seconds, milliseconds) - offset * 60000);
+  };
+  
+  
+  /**
+   * Regular expression matching ISO 8601 dates and date times.
+   * @constant
+   */
+  Time.ISO_8601 = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:[.,](\d+))?)?(Z|[+-](\d{2}):?(\d{2}))?)?$/;
+  
+  
+  /**
+   * Returns the midnight of the day of the given date.
+   *
+   * @param {Date} date The date.
+   * @returns {Date} The start of the day.
+   */
+  Time.getDay = function(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  };
+  
+  
+  /**
+   * Formats the local day of a date as ISO 8601 date, e.g. "2011-01-03". Other views
+   * parse the day in their own time zone.
+   *
+   * @param {Date} date The date.
+   * @returns {String} The formated day.
+   */
+  Time.formatDay = function(date) {
+    var pad = function(value) {
+      return (value < 10 ? "0" : "") + value;
+    };
+    return date.getFullYear() + "-" + pad(date.getMonth() + 1) + "-" + pad(date.getDate());
+  };
+  
+  
+  /** @exports TimeZone as FB.util.TimeZone */
+  var TimeZone = 
+    /**
+     * Time zone util class. Converts between instants and the wall time of a time zone.
+     * A time zone is either 'null' (the local time zone of the browser), a fixed UTC
+     * offset (e.g. "UTC", "+05:30" or "-08:00") or an IANA time zone name (e.g. "Europe/Berlin").
+     * IANA time zones require a browser that supports Intl.DateTimeFormat.
+     *
+     * @constructor
+     */
+    FB.util.TimeZone = function() {};
+  
+  
+  /**
+   * Stores the Intl.DateTimeFormat instances per time zone, as creating them is expensive.
+   */
+  TimeZone._formats = {};
+  
+  
+  /**
+   * Returns the UTC offset of a fixed offset time zone.
+   *
+   * @param {String} timeZone The time zone.
+   * @returns {Integer} The offset in minutes. Returns 'null' if the time zone has no fixed offset.
+   */
+  TimeZone.parseOffset = function(timeZone) {
+    if (timeZone == "UTC" || timeZone == "GMT" || timeZone == "Z") {
+      return 0;
+    }
+    var match = /^(?:UTC|GMT)?([+-])(\d{2}):?(\d{2})$/.exec(timeZone);
+    if (match === null) {
+      return null;
+    }
+    return (match[1] == "-" ? -1 : 1) * (parseInt(match[2], 10) * 60 + parseInt(match[3], 10));
+  };
+  
+  
+  /**
+   * Checks whether a time zone is known. IANA time zone names are checked with
+   * Intl.DateTimeFormat, which throws for unknown names.
+   *
+   * @param {String} timeZone The time zone. 'null' for the local time zone.
+   * @returns {Boolean} True when the time zone can be used.
+   */
+  TimeZone.isSupported = function(timeZone) {
+    if (timeZone == null || TimeZone.parseOffset(timeZone) !== null) {
+      return true;
+    }
+    try {
+      TimeZone._format(timeZone, new Date(0));
+      return true;
+    } catch (e) {
+      return false;
+    }
+  };
+  
+  
+  /**
+   * Returns the UTC offset of a time zone at a certain instant.
+   *
+   * @param {String} timeZone The time zone. 'null' for the local time zone.
+   * @param {Date} date The instant.
+   * @returns {Integer} The offset in minutes, e.g. 60 for "+01:00".
+   */
+  TimeZone.getOffset = function(timeZone, date) {
+    if (timeZone == null) {
+      return -date.getTimezoneOffset();
+    }
+    var offset = TimeZone.parseOffset(timeZone);
+    if (offset !== null) {
+      return offset;
+    }
+    
+    var parts = TimeZone._format(timeZone, date);
+    var wallTime = Date.UTC(parts.year, parts.month, parts.day, parts.hours, parts.minutes, parts.seconds);
+    return Math.round((wallTime - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+  };
+  
+  
+  /**
+   * Returns the wall time of a time zone at a certain instant.
+   *
+   * @param {String} timeZone The time zone. 'null' for the local time zone.
+   * @param {Date} date The instant.
+   * @returns {Object} The wall time.
+   * {
+   *   year : {Integer},
+   *   month : {Integer}, (0 - 11)
+   *   day : {Integer},
+   *   hours : {Integer},
+   *   minutes : {Integer},
+   *   seconds : {Integer}
+   * }
+   */
+  TimeZone.getParts = function(timeZone, date) {
+    if (timeZone == null) {
+      return {
+        year : date.getFullYear(),
+        month : date.getMonth(),
+        day : date.getDate(),
+        hours : date.getHours(),
+        minutes : date.getMinutes(),
+        seconds : date.getSeconds()
+      };
+    }
+    var shifted = new Date(date.getTime() + TimeZone.getOffset(timeZone, date) * 60000);
+    return {
+      year : shifted.getUTCFullYear(),
+      month : shifted.getUTCMonth(),
+      day : shifted.getUTCDate(),
+      hours : shifted.getUTCHours(),
+      minutes : shifted.getUTCMinutes(),
+      seconds : shifted.getUTCSeconds()
+    };
+  };
+  
+  
+  /**
+   * Returns the instant of a wall time in a time zone. Wall times that do not exist
+   * (skipped by a daylight saving time transition) are moved forward by the transition.
+   *
+   * @param {String} timeZone The time zone. 'null' for the local time zone.
+   * @param {Integer} year The year.
+   * @param {Integer} month The month (0 - 11).
+   * @param {Integer} day The day of the month.
+   * @param {Integer} [hours] The hours.
+   * @param {Integer} [minutes] The minutes.
+   * @param {Integer} [seconds] The seconds.
+   * @param {Integer} [milliseconds] The milliseconds.
+   * @returns {Date} The instant.
+   */
+  TimeZone.toInstant = function(timeZone, year, month, day, hours, minutes, seconds, milliseconds) {
+    if (timeZone == null) {
+      return new Date(year, month, day, hours || 0, minutes || 0, seconds || 0, milliseconds || 0);
+    }
+    var wallTime = Date.UTC(year, month, day, hours || 0, minutes || 0, seconds || 0, milliseconds || 0);
+    var offset = TimeZone.getOffset(timeZone, new Date(wallTime));
+    var instant = wallTime - offset * 60000;
+    // The offset might be different at the instant, when a transition lies in between
+    var instantOffset = TimeZone.getOffset(timeZone, new Date(instant));
+    if (instantOffset !== offset) {
+      instant = wallTime - instantOffset * 60000;
+    }
+    return new Date(instant);
+  };
+  
+  
+  /**
+   * Returns the wall time of an IANA time zone at a certain instant, using Intl.DateTimeFormat.
+   *
+   * @param {String} timeZone The IANA time zone name.
+   * @param {Date} date The instant.
+   * @returns {Object} The wall time. See getParts.
+   */
+  TimeZone._format = function(timeZone, date) {
+    var format = TimeZone._formats[timeZone];
+    if (!format) {
+      if (typeof Intl == "undefined" || !Intl.DateTimeFormat) {
+        throw new Error("Time zone not supported: " + timeZone);
+      }
+      format = TimeZone._formats[timeZone] = new Intl.DateTimeFormat("en-US", {
+        timeZone : timeZone,
+        hour12 : false,
+        year : "numeric",
+        month : "numeric",
+        day : "numeric",
+        hour : "numeric",
+        minute : "numeric",
+        second : "numeric"
+      });
+    }
+    
+    var values = {};
+    var parts = format.formatToParts(date);
+    for (var i=0; i < parts.length; i++) {
+      values[parts[i].type] = parseInt(parts[i].value, 10);
+    }
+    return {
+      year : values.year,
+      month : values.month - 1,
+      day : values.day,
+      // Some browsers format midnight as 24
+      hours : values.hour % 24,
+      minutes : values.minute,
+      seconds : values.second
+    };
+  };
+  
+  
+  /** @exports Template as FB.util.Template */
+  var Template = 
+    /**
+     * Template util class. Renders string templates with HTML-escaped values.
+     * A template refers to values with {name}. The values are HTML-escaped, unless
+     * the name is prefixed with an ampersand, e.g. {&name}.
+     *
+     * @constructor
+     */
+    FB.util.Template = function() {};
+  
+  
+  /**
+   * Renders a template with the given values. Unknown values are rendered as an empty string.
+   *
+   * @param {String} template The template to render.
+   * @param {Object} values The values of the template.
+   * @returns {String} The rendered template.
+   */
+  Template.render = function(template, values) {
+    return template.replace(/\{(&?)([\w\-]+)\}/g, function(match, raw, name) {
+      var value = values[name] != null ? String(values[name]) : "";
+      return raw ? value : Template.escape(value);
+    });
+  };
+  
+  
+  /**
+   * Escapes the HTML special characters of a value.
+   *
+   * @param {String} value The value to escape.
+   * @returns {String} The escaped value.
+   */
+  Template.escape = function(value) {
+    return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+  };
+  
+  
+  /**
+   * Returns a copy of the given values with all values HTML-escaped.
+   *
+   * @param {Object} values The values to escape.
+   * @returns {Object} The escaped values.
+   */
+  Template.escapeValues = function(values) {
+    var escaped = {};
+    for (var name in values) {
+      escaped[name] = values[name] != null ? Template.escape(values[name]) : "";
+    }
+    return escaped;
+  };
+  
+  
+  /** @exports Browser as FB.Browser */
+  var Browser = 
+    /**
+     * Browser util class. Provides helper methods for better browser detection.
+     *
+     * @constructor
+     */
+    FB.Browser = function() {};
+  
+  /**
+   * Constant that indicates whether the browser is a IE6.
+   */
+  Browser.IE6 = typeof navigator != "undefined" && /msie|MSIE 6/.test(navigator.userAgent);
+
+
+  /**
+   * Constant that indicates whether the browser is a IE7.
+   */
+  Browser.IE7 = typeof navigator != "undefined" && /msie|MSIE 7/.test(navigator.userAgent);
+
+
+  /**
+   * Constant that indicates whether the browser supports border box.
+   * This check might be replaced later by a feature detection (e.g., to ignore all
+   * browser that only say they are IE7 but support border box)
+   */
+  Browser.BORDER_BOX = (!Browser.IE6 && !Browser.IE7);
+  
+
+  /** @exports Element as FB.Element */
+  var Element = 
+    /**
+     * Element util class. Provides helper methods for DOM Elements.
+     *
+     * @constructor
+     */
+    FB.Element = function() {}; 
+
+  /**
+   * Returns the border width of a given element and the "Left", "Right", "Top", "Bottom" direction.
+   *
+   * @param {Element} element The element to retrieve the border width from.
+   * @param {String} direction One of the following directions: "Left", "Right", "Top", "Bottom"
+   * @returns {Integer} The border width in pixels.
+   */
+  Element.getBorderWidth = function(element, direction) {
+    if (element.currentStyle["border" + direction + "Style"] == "none")
+      return 0;
+    var n = parseInt(element.currentStyle["border" + direction + "Width"]);
+    return n || 0;
+  };
+  
+
+  /**
+   * Returns the left border width of a given element.
+   *
+   * @param {Element} element The element to retrieve the border width from.
+   * @returns {Integer} The border width in pixels.
+   */  
+  Element.getBorderLeftWidth = function(element) {
+    return Element.getBorderWidth(element,"Left");
+  };
+
+
+  /**
+   * Returns the right border width of a given element.
+   *
+   * @param {Element} element The element to retrieve the border width from.
+   * @returns {Integer} The border width in pixels.
+   */  
+  Element.getBorderRightWidth = function(element) {
+    return Element.getBorderWidth(element,"Right");
+  };
+
+
+  /**
+   * Returns the top border width of a given element.
+   *
+   * @param {Element} element The element to retrieve the border width from.
+   * @returns {Integer} The border width in pixels.
+   */  
+  Element.getBorderTopWidth = function(element) {
+    return Element.getBorderWidth(element,"Top");
+  };
+
+
+  /**
+   * Returns the bottom border width of a given element.
+   *
+   * @param {Element} element The element to retrieve the border width from.
+   * @returns {Integer} The border width in pixels.
+   */  
+  Element.getBorderBottomWidth = function(element) {
+    return Element.getBorderWidth(element,"Bottom");
+  };
+  
+
+  /**
+   * Returns the padding of a given element and the "Left", "Right", "Top", "Bottom" direction.
+   *
+   * @param {Element} element The element to retrieve the padding from.
+   * @param {String} direction One of the following directions: "Left", "Right", "Top", "Bottom"
+   * @returns {Integer} The padding in pixels.
+   */
+  Element.getPadding = function(element,direction) {
+    var n = parseInt(element.currentStyle["padding" + direction]);
+    return n || 0;
+  }
+  
+  
+  /**
+   * Returns the left padding of a given element.
+   *
+   * @param {Element} element The element to retrieve the padding from.
+   * @returns {Integer} The border width in pixels.
+   */  
+  Element.getPaddingLeft = function(element) {
+    return Element.getPadding(element,"Left");
+  }
+
+
+  /**
+   * Returns the right padding of a given element.
+   *
+   * @param {Element} element The element to retrieve the padding from.
+   * @returns {Integer} The border width in pixels.
+   */
+  Element.getPaddingRight = function(element) {
+    return Element.getPadding(element,"Right");
+  }
+
+
+  /**
+   * Returns the top padding of a given element.
+   *
+   * @param {Element} element The element to retrieve the padding from.
+   * @returns {Integer} The border width in pixels.
+   */
+  Element.getPaddingTop = function(element) { 
+    return Element.getPadding(element,"Top");
+  }
+  
+  
+  /**
+   * Returns the bottom padding of a given element.
+   *
+   * @param {Element} element The element to retrieve the padding from.
+   * @returns {Integer} The border width in pixels.
+   */
+  Element.getPaddingBottom = function(element) {
+    return Element.getPadding(element,"Bottom");
+  }
+
+
+  /**
+   * Returns the inset of a certain elemennt with a given class.
+   * 
+   * @param {String} className The class name that should be set on the element to test.
+   * @returns {Object} The inset of the element.
+   * {
+   *   borderLeft : {Integer},
+   *   borderRight : {Integer},
+   *   borderTop : {Integer},
+   *   borderBottom : {Integer},
+   *   paddingLeft : {Integer},
+   *   paddingRight : {Integer},
+   *   paddingTop : {Integer},
+   *   paddingBottom : {Integer}
+   * }
+   */
+  Element.getInset = function(className) {
+    // we need to add the element to the body,otherwise element.currentStyle is null
+    var element = document.createElement("div");
+    element.className="event";
+  	document.body.appendChild(element);
+    var inset = {
+      borderLeft : Element.getBorderLeftWidth(element),
+      borderRight : Element.getBorderRightWidth(element),
+      borderTop : Element.getBorderTopWidth(element),
+      borderBottom : Element.getBorderBottomWidth(element),
+      paddingLeft : Element.getPaddingLeft(element),
+      paddingRight : Element.getPaddingRight(element),
+      paddingTop : Element.getPaddingTop(element),
+      paddingBottom : Element.getPaddingBottom(element) 
+    };
+    document.body.removeChild(element);
+    return inset;
+  };
+
+
+  /**
+   * Adds an event listener to the given element.
+   *
+   * @param {Element} element The element to listen to.
+   * @param {String} type The event type without the "on" prefix, e.g. "click".
+   * @param {Function} listener The listener. Gets called with the native event object.
+   * @returns {Function} The registered handler. Use it to remove the listener again.
+   */
+  Element.addListener = function(element, type, listener) {
+    if (element.addEventListener) {
+      element.addEventListener(type, listener, false);
+      return listener;
+    }
+    var handler = function() {
+      listener(window.event);
+    };
+    element.attachEvent("on" + type, handler);
+    return handler;
+  };
+  
+  
+  /**
+   * Removes an event listener from the given element.
+   *
+   * @param {Element} element The element to remove the listener from.
+   * @param {String} type The event type without the "on" prefix, e.g. "click".
+   * @param {Function} handler The handler returned by Element.addListener.
+   */
+  Element.removeListener = function(element, type, handler) {
+    if (element.removeEventListener) {
+      element.removeEventListener(type, handler, false);
+    } else {
+      element.detachEvent("on" + type, handler);
+    }
+  };
+  
+  
+  /**
+   * Adds a CSS class to the given element.
+   *
+   * @param {Element} element The element.
+   * @param {String} className The CSS class to add.
+   */
+  Element.addClass = function(element, className) {
+    if (!Element.hasClass(element, className)) {
+      element.className += (element.className ? " " : "") + className;
+    }
+  };
+  
+  
+  /**
+   * Removes a CSS class from the given element.
+   *
+   * @param {Element} element The element.
+   * @param {String} className The CSS class to remove.
+   */
+  Element.removeClass = function(element, className) {
+    element.className = (" " + element.className + " ").replace(" " + className + " ", " ").replace(/^\s+|\s+$/g, "");
+  };
+  
+  
+  /**
+   * Checks whether the given element has a CSS class.
+   *
+   * @param {Element} element The element.
+   * @param {String} className The CSS class.
+   * @returns {Boolean} True when the element has the CSS class.
+   */
+  Element.hasClass = function(element, className) {
+    return (" " + element.className + " ").indexOf(" " + className + " ") != -1;
+  };
+  
+  
+  /**
+   * Prevents the default action of a native event.
+   *
+   * @param {Event} e The native event object.
+   */
+  Element.preventDefault = function(e) {
+    if (e.preventDefault) {
+      e.preventDefault();
+    } else {
+      e.returnValue = false;
+    }
+  };
+  
+  
+  /**
+   * Returns the target element of a native event object.
+   *
+   * @param {Event} e The native event object.
+   * @returns {Element} The target element.
+   */
+  Element.getTarget = function(e) {
+    return e.target || e.srcElement;
+  };
+
+
+  /** @exports Drag as FB.ui.Drag */
+  var Drag = 
+    /**
+     * Tracks a mouse drag operation that was started by a mousedown event. Reports the
+     * distance of the mouse to the start position until the mouse button is released.
+     * Pressing the escape key cancels the drag operation.
+     *
+     * @constructor
+     * @param {Event} e The native mousedown event that starts the drag operation.
+     * @param {Function} onMove Gets called with the horizontal and vertical distance in pixels when the mouse is moved.
+     * @param {Function} onDrop Gets called with the horizontal and vertical distance in pixels when the mouse button is released.
+     * @param {Function} [onCancel] Gets called when the drag operation is canceled.
+     */
+    FB.ui.Drag = function(e, onMove, onDrop, onCancel) {
+    this._x = e.clientX;
+    this._y = e.clientY;
+    this._onMove = onMove;
+    this._onDrop = onDrop;
+    this._onCancel = onCancel || null;
+    
+    var self = this;
+    this._handlers = {
+      mousemove : Element.addListener(document, "mousemove", function(e) {
+        Element.preventDefault(e);
+        self._onMove(e.clientX - self._x, e.clientY - self._y);
+      }),
+      mouseup : Element.addListener(document, "mouseup", function(e) {
+        self.dispose();
+        self._onDrop(e.clientX - self._x, e.clientY - self._y);
+      }),
+      keydown : Element.addListener(document, "keydown", function(e) {
+        if (e.keyCode == 27) {
+          self.cancel();
+        }
+      })
+    };
+    Element.preventDefault(e);
+  };
+  
+  
+  /**
+   * Cancels the drag operation.
+   */
+  Drag.prototype.cancel = function() {
+    this.dispose();
+    if (this._onCancel !== null) {
+      this._onCancel();
+    }
+  };
+  
+  
+  /**
+   * Removes the listeners of the drag operation.
+   */
+  Drag.prototype.dispose = function() {
+    for (var type in this._handlers) {
+      Element.removeListener(document, type, this._handlers[type]);
+    }
+    this._handlers = {};
+  };
+  
+  
+  /** @exports Calendar as FB.ui.calendar.Calendar */
+  var Calendar = 
+    /**
+     * The calendar widget. Renders events for a certain time. Colliding
+     * events are rendered corrosponding to the number of colliding event
+     * and the width of the calendar event container.
+     *
+     * @constructor
+     * @param {String|Element} id The id of the calendar dom element or the element itself.
+     * @param {Object[]} [events] The events to show in the calendar.
+     * @param {Object} [options] Custom options. Will be merged with the default options.
+     */
+    FB.ui.calendar.Calendar = function(id, events, options) {
+    this._listeners = {};
+    this._banners = [];
+    this._selectedId = null;
+    this._events = null;
+    this._data = {};
+    this._renderedEvents = {};
+    this._eventElements = {};
+    this._states = {};
+    this._tree = null;
+  
+    this._options = Calendar.mergeOptions(options);
+    this._date = Calendar.getDay(this._options.date, this._options.timeZone);
+    this._layout = null;
+    this._createLayout();
+    
+    if (events != null) {
+      this._setEvents(events);
+    }
+ 
+    this._element = typeof id == "string" ? document.getElementById(id) : id;
+    if (Calendar.isRtl(this._options)) {
+      this._element.className += " " + this._options.rtlCssClass;
+      this._element.setAttribute("dir", "rtl");
+    }
+    this._timelineElement = null;
+    if (this._options.timeline) {
+      this._timelineElement = document.createElement("div");
+      this._timelineElement.className = this._options.timelineCssClass;
+      this._element.appendChild(this._timelineElement);
+    }
+    this._eventsElement = document.createElement("div");
+    this._eventsElement.className = this._options.eventsCssClass;
+    this._eventsElement.setAttribute("role", "listbox");
+    this._element.appendChild(this._eventsElement);
+    this._laneElement = null;
+    if (this._options.lane) {
+      this._laneElement = document.createElement("div");
+      this._laneElement.className = this._options.laneCssClass;
+      this._laneElement.setAttribute("role", "listbox");
+      this._laneElement.style.display = "none";
+      this._element.appendChild(this._laneElement);
+    }
+    
+    if (this._options.timeline) {
+      this._drawTimeline();
+    }
+    
+    var callbacks = {onChange : "change", onResize : "resize", onCreate : "create"};
+    for (var key in callbacks) {
+      if (this._options[key]) {
+        this.on(callbacks[key], this._options[key]);
+      }
+    }
+    
+    // A single delegated listener handles the interaction with all events
+    var self = this;
+    var listener = function(e) {
+      self._onDomEvent(e);
+    };
+    this._handlers = {};
+    var types = ["mousedown", "click", "dblclick", "mouseover", "keydown"];
+    for (var i=0; i < types.length; i++) {
+      this._handlers[types[i]] = Element.addListener(this._element, types[i], listener);
+    }
+    
+    this._nowElement = null;
+    this._nowTimer = null;
+    this._scrolledToNow = false;
+    if (this._options.nowIndicator) {
+      this._nowElement = document.createElement("div");
+      this._nowElement.className = this._options.nowCssClass;
+      this._nowElement.setAttribute("aria-hidden", "true");
+      this._eventsElement.appendChild(this._nowElement);
+      this.updateNow();
+      this._updateNowTimer();
+    }
+    
+    // Virtual calendars only render the events within the scrolled viewport of the calendar element
+    if (this._options.virtual) {
+      this._handlers.scroll = Element.addListener(this._element, "scroll", function() {
+        self.updateViewport();
+      });
+    }
+  };
+  
+  
+  /**
+   * Adds a listener for the given type. The listeners are called with the calendar as context.
+   * <ul>
+   *   <li>eventclick, eventdblclick, eventhover: Called with the event and the native event object.</li>
+   *   <li>eventopen: Called with the event and the native event object when an event is double-clicked or Enter is pressed.</li>
+   *   <li>selectionchange: Called with the selected event (or 'null') and the previously selected event.</li>
+   *   <li>beforerender, afterrender: Called with the events that are rendered.</li>
+   *   <li>add, remove, update: Called with the added, removed or updated event.</li>
+   *   <li>reset: Called with the new events when all events are replaced by setEvents or layOutDay.</li>
+   *   <li>change: Called with the event, its old and its new times when the user moved or resized an event.</li>
+   *   <li>resize: Called with the event, its old and its new times before an event is resized. Return false to cancel.</li>
+   *   <li>create: Called with the start and end time in minutes and as Date objects when the user creates an event.</li>
+   * </ul>
+   *
+   * @param {String} type The type to listen to.
+   * @param {Function} listener The listener.
+   * @returns {FB.ui.calendar.Calendar} The calendar.
+   */
+  Calendar.prototype.on = function(type, listener) {
+    if (!this._listeners[type]) {
+      this._listeners[type] = [];
+    }
+    this._listeners[type].push(listener);
+    return this;
+  };
+  
+  
+  /**
+   * Removes a listener. Removes all listeners of the type when no listener is given.
+   *
+   * @param {String} type The type.
+   * @param {Function} [listener] The listener to remove.
+   * @returns {FB.ui.calendar.Calendar} The calendar.
+   */
+  Calendar.prototype.off = function(type, listener) {
+    var listeners = this._listeners[type];
+    if (listeners && listener != null) {
+      for (var i=listeners.length - 1; i >= 0; i--) {
+        if (listeners[i] === listener) {
+          listeners.splice(i, 1);
+        }
+      }
+    } else {
+      delete this._listeners[type];
+    }
+    return this;
+  };
+  
+  
+  /**
+   * Calls the listeners of the given type with the remaining arguments.
+   *
+   * @param {String} type The type.
+   * @returns {Boolean} False when a listener returned false. True otherwise.
+   */
+  Calendar.prototype.emit = function(type) {
+    var listeners = this._listeners[type];
+    if (!listeners) {
+      return true;
+    }
+    var args = Array.prototype.slice.call(arguments, 1);
+    var result = true;
+    // Listeners may remove themselves
+    listeners = listeners.slice();
+    for (var i=0; i < listeners.length; i++) {
+      if (listeners[i].apply(this, args) === false) {
+        result = false;
+      }
+    }
+    return result;
+  };
+  
+  
+  /**
+   * Returns the current time. Uses options.clock when set, so that a fake clock can be injected.
+   *
+   * @returns {Date} The current time.
+   */
+  Calendar.prototype.now = function() {
+    return this._options.clock ? this._options.clock() : new Date();
+  };
+  
+  
+  /**
+   * Positions the current time indicator. The indicator is hidden when the current time
+   * is not within the displayed time range.
+   *
+   * @returns {Boolean} True when the indicator is shown.
+   */
+  Calendar.prototype.updateNow = function() {
+    if (this._nowElement === null) {
+      return false;
+    }
+    var range = Calendar.getRange(this._date, this._options);
+    var now = this.now().getTime();
+    if (now < range.from.getTime() || now > range.to.getTime()) {
+      this._nowElement.style.display = "none";
+      return false;
+    }
+    this._nowElement.style.display = "";
+    this._nowElement.style.top = this.getTop((now - range.from.getTime()) / 60000) + "px";
+    return true;
+  };
+  
+  
+  /**
+   * Starts the timer that moves the current time indicator while the displayed day is
+   * today. Stops the timer on all other days.
+   */
+  Calendar.prototype._updateNowTimer = function() {
+    var self = this;
+    var today = this._nowElement !== null && this._date.getTime() === Calendar.getDay(this.now(), this._options.timeZone).getTime();
+    if (!today && this._nowTimer !== null) {
+      clearInterval(this._nowTimer);
+      this._nowTimer = null;
+    } else if (today && this._nowTimer === null) {
+      this._nowTimer = setInterval(function() {
+        self.updateNow();
+      }, this._options.nowInterval);
+    }
+  };
+  
+  
+  /**
+   * Scrolls the calendar element, so that the current time indicator is in the middle of it.
+   */
+  Calendar.prototype.scrollToNow = function() {
+    if (this.updateNow()) {
+      var top = parseInt(this._nowElement.style.top, 10) + this._eventsElement.offsetTop;
+      this._element.scrollTop = Math.max(0, top - Math.floor(this._element.clientHeight / 2));
+    }
+  };
+  
+  
+  /**
+   * Returns the time range that is visible in the scrolled calendar element, extended
+   * by options.buffer pixels above and below. The height of the viewport is
+   * options.viewportHeight or the client height of the calendar element.
+   *
+   * @returns {Object} The visible range in minutes from the start of the displayed time range.
+   * {
+   *   start : {Number},
+   *   end : {Number}
+   * }
+   */
+  Calendar.prototype.getVisibleRange = function() {
+    var height = this._options.viewportHeight != null ? this._options.viewportHeight : this._element.clientHeight;
+    var top = this._element.scrollTop - this._eventsElement.offsetTop - this._options.buffer;
+    var scale = this._getScale();
+    return {
+      start : top / scale,
+      end : (top + height + 2 * this._options.buffer) / scale
+    };
+  };
+  
+  
+  /**
+   * Renders the events that scrolled into the visible range and removes the elements of
+   * the events that left it. The cached layouts of the events are used, so that no
+   * event is laid out again. Only used by virtual calendars.
+   */
+  Calendar.prototype.updateViewport = function() {
+    if (!this._options.virtual || this._events === null) {
+      return;
+    }
+    var visible = [];
+    var shown = {};
+    if (this._tree.getSize() > 0) {
+      var events = this._tree.searchInterval(this.getVisibleRange());
+      for (var i=0; i < events.length; i++) {
+        if (this.isRendered(events[i])) {
+          visible.push(events[i]);
+          shown[events[i].id] = true;
+        }
+      }
+    }
+    for (var id in this._eventElements) {
+      if (!shown[id]) {
+        this._detachElement(id);
+      }
+    }
+    this.emit("beforerender", visible);
+    this._patch(visible);
+    this.emit("afterrender", visible);
+  };
+  
+  
+  /**
+   * Returns the default options of the calendar widget. Used to merge
+   * with the custom options.
+   *
+   * @returns {Object} The default options.
+   * {
+   *   timelineCssClass : "timeline",
+   *   eventsCssClass : "events",
+   *   height : 720,
+   *   width : 600,
+   *   offset : 10,
+   *   from : 9,
+   *   to : 21,
+   *   expand : false,
+   *   timeline : true,
+   *   date : null,
+   *   timeZone : null,
+   *   locale : "en",
+   *   labelFormatter : null,
+   *   rtl : null,
+   *   rtlCssClass : "rtl",
+   *   template : null,
+   *   draggable : false,
+   *   draggingCssClass : "dragging",
+   *   snap : 15,
+   *   onChange : null,
+   *   resizable : false,
+   *   minDuration : 15,
+   *   onResize : null,
+   *   creatable : false,
+   *   defaultDuration : 60,
+   *   provisionalCssClass : "provisional",
+   *   onCreate : null,
+   *   nowIndicator : false,
+   *   nowCssClass : "now",
+   *   nowInterval : 60000,
+   *   scrollToNow : false,
+   *   clock : null,
+   *   lane : true,
+   *   laneCssClass : "allDay",
+   *   bannerCssClass : "banner",
+   *   bannerHeight : 22,
+   *   bannerMinDuration : 1440,
+   *   virtual : false,
+   *   buffer : 120,
+   *   viewportHeight : null,
+   *   halfOpen : false
+   * }
+   */
+  Calendar.getDefaultOptions = function() {
+    return {
+      timelineCssClass : "timeline",
+      eventsCssClass : "events",
+      height : 720,
+      width : 600,
+      offset : 10,
+      from : 9,
+      to : 21,
+      expand : false,
+      timeline : true,
+      date : null,
+      timeZone : null,
+      locale : "en",
+      labelFormatter : null,
+      rtl : null,
+      rtlCssClass : "rtl",
+      template : null,
+      draggable : false,
+      draggingCssClass : "dragging",
+      snap : 15,
+      onChange : null,
+      resizable : false,
+      minDuration : 15,
+      onResize : null,
+      creatable : false,
+      defaultDuration : 60,
+      provisionalCssClass : "provisional",
+      onCreate : null,
+      nowIndicator : false,
+      nowCssClass : "now",
+      nowInterval : 60000,
+      scrollToNow : false,
+      clock : null,
+      lane : true,
+      laneCssClass : "allDay",
+      bannerCssClass : "banner",
+      bannerHeight : 22,
+      bannerMinDuration : 1440,
+      virtual : false,
+      buffer : 120,
+      viewportHeight : null,
+      halfOpen : false
+    };
+  };
+  
+  
+  /**
+   * This method is used to merge the custom options with the default
+   * options of the widget.
+   *
+   * @param {Object} options The options to merge with the default options.
+   * @returns {Object} The merged options.
+   */
+  Calendar.mergeOptions = function(options) {
+    var mergedOptions = Calendar.getDefaultOptions();
+    if (options != null) {
+      for (var key in options) {
+        mergedOptions[key] = options[key];
+      }
+    }
+    return mergedOptions;
+  };
+  
+  
+  /**
+   * Use this method to dispose the object.
+   */
+  Calendar.prototype.dispose = function() {
+    if (this._nowTimer !== null) {
+      clearInterval(this._nowTimer);
+      this._nowTimer = null;
+    }
+    for (var type in this._handlers) {
+      Element.removeListener(this._element, type, this._handlers[type]);
+    }
+    this._handlers = {};
+    this._element = this._eventsElement = this._timelineElement = this._nowElement = this._laneElement = null;
+  };
+
+  
+  /**
+   * Returns the displayed day.
+   *
+   * @returns {Date} The displayed day at midnight.
+   */
+  Calendar.prototype.getDate = function() {
+    return this._date;
+  };
+  
+  
+  /**
+   * Sets the displayed day. Events with absolute start and end times are
+   * filtered and clipped again. Rerenders the calendar when events are set.
+   *
+   * @param {Date|String} date The day to display.
+   * @param {Object[]} [events] New events to lay out on the day. See layOutDay. Defaults to the current events.
+   */
+  Calendar.prototype.setDate = function(date, events) {
+    this._date = Calendar.getDay(date, this._options.timeZone);
+    this._createLayout();
+    if (this._timelineElement !== null) {
+      this._drawTimeline();
+    }
+    if (events != null) {
+      this.layOutDay(events);
+    } else if (this._events !== null) {
+      this._refresh();
+    }
+    this.updateNow();
+    this._updateNowTimer();
+  };
+  
+  
+  /**
+   * Returns the day of a date in the given time zone. Date objects are instants, strings
+   * without a time zone are parsed in the time zone, e.g. "2011-01-03" is always January 3rd.
+   *
+   * @param {Date|String} [date] The date. Defaults to now.
+   * @param {String} [timeZone] The time zone. See FB.util.TimeZone.
+   * @returns {Date} The day at local midnight.
+   */
+  Calendar.getDay = function(date, timeZone) {
+    var parts = TimeZone.getParts(timeZone, date == null ? new Date() : Time.parse(date, timeZone));
+    return new Date(parts.year, parts.month, parts.day);
+  };
+  
+  
+  /**
+   * Returns the displayed time range of a day, from options.from to options.to in
+   * options.timeZone. On days with a daylight saving time transition the range is
+   * shorter or longer than (options.to - options.from) hours.
+   *
+   * @param {Date} date The day.
+   * @param {Object} options The options of the view. The from, to and timeZone options are used.
+   * @returns {Object} The range.
+   * {
+   *   from : {Date},
+   *   to : {Date}
+   * }
+   */
+  Calendar.getRange = function(date, options) {
+    return {
+      from : TimeZone.toInstant(options.timeZone, date.getFullYear(), date.getMonth(), date.getDate(), options.from),
+      to : TimeZone.toInstant(options.timeZone, date.getFullYear(), date.getMonth(), date.getDate(), options.to)
+    };
+  };
+  
+  
+  /**
+   * Creates the layout engine. The scale maps the minutes of the displayed range to
+   * the height of the calendar.
+   */
+  Calendar.prototype._createLayout = function() {
+    this._layout = new Layout({
+      width : this._options.width,
+      offset : this._options.offset,
+      scale : this._getScale(),
+      expand : this._options.expand,
+      rtl : Calendar.isRtl(this._options),
+      halfOpen : this._options.halfOpen
+    });
+  };
+  
+  
+  /**
+   * Returns the length of the displayed time range in minutes.
+   *
+   * @returns {Integer} The length of the displayed time range.
+   */
+  Calendar.prototype._getLength = function() {
+    var range = Calendar.getRange(this._date, this._options);
+    return (range.to.getTime() - range.from.getTime()) / 60000;
+  };
+  
+  
+  /**
+   * Returns the pixels per minute of the displayed time range.
+   *
+   * @returns {Number} The scale of the calendar.
+   */
+  Calendar.prototype._getScale = function() {
+    return this._options.height / this._getLength();
+  };
+  
+  
+  /**
+   * Returns the top position of the given time.
+   *
+   * @param {Integer} minutes The time in minutes from the start of the displayed time range.
+   * @returns {Integer} The top position in pixels.
+   */
+  Calendar.prototype.getTop = function(minutes) {
+    return Math.round(minutes * this._getScale());
+  };
+  
+  
+  /**
+   * Checks whether a view is laid out from right to left. Uses options.rtl, or the
+   * direction of options.locale when options.rtl is not set.
+   *
+   * @param {Object} options The options of the view.
+   * @returns {Boolean} True when the view is laid out from right to left.
+   */
+  Calendar.isRtl = function(options) {
+    if (options.rtl != null) {
+      return options.rtl;
+    }
+    return Time.getLocale(options.locale).rtl === true;
+  };
+  
+  
+  /**
+   * Sets all events again and renders the calendar. Used when the displayed
+   * range or a recurring event has changed.
+   */
+  Calendar.prototype._refresh = function() {
+    this._setEvents(this._getData());
+    this.render();
+  };
+  
+  
+  /**
+   * Draws the timeline of the calendar.
+   */
+  Calendar.prototype._drawTimeline = function() {
+    Calendar.drawTimeline(this._timelineElement, this._options, this._date);
+  };
+  
+  
+  /**
+   * Draws a timeline into the given element. Used by all views that show a time axis.
+   * The labels show the wall time of options.timeZone, so that days with a daylight
+   * saving time transition show the skipped or repeated hours correctly.
+   *
+   * @param {Element} element The element to draw the timeline into.
+   * @param {Object} options The options of the view. The from, to, height and timeZone options are used.
+   * @param {Date} [date] The day to draw the timeline for. Defaults to today.
+   */
+  Calendar.drawTimeline = function(element, options, date) {
+    var range = Calendar.getRange(date || Calendar.getDay(null, options.timeZone), options);
+    var from = range.from.getTime();
+    var to = range.to.getTime();
+    var slot = 30 * 60000;
+    var height = Math.floor(options.height / ((to - from) / slot));
+  
+    var html = [];
+    
+    for (var i = from; i <= to; i += slot) {
+      var parts = TimeZone.getParts(options.timeZone, new Date(i));
+      if (parts.minutes === 0 || i < to) {
+        html.push("<div role='row' aria-label='" + Time.formatTime(parts.hours, parts.minutes, options.locale) + "' style='height:" + height + "px;'>"
+          + Calendar.formatLabel(parts.hours, parts.minutes, options) + "</div>");
+      }
+    }
+  
+    element.setAttribute("role", "grid");
+    element.setAttribute("aria-readonly", "true");
+    element.innerHTML = html.join("");
+  };
+  
+  
+  /**
+   * Returns the HTML of a timeline label. Uses options.labelFormatter when set. The
+   * formatter gets called with the hours, the minutes and the locale object and has to
+   * return a HTML string.
+   *
+   * @param {Integer} hours The hours of the label.
+   * @param {Integer} minutes The minutes of the label.
+   * @param {Object} options The options of the view. The locale and labelFormatter options are used.
+   * @returns {String} The HTML of the label.
+   */
+  Calendar.formatLabel = function(hours, minutes, options) {
+    var locale = Time.getLocale(options.locale);
+    if (options.labelFormatter) {
+      return options.labelFormatter(hours, minutes, locale);
+    }
+    
+    var time = Time.format(hours, locale);
+    if (minutes !== 0) {
+      return "<span class='subTitle'>" + time.hours  + ":" + (minutes < 10 ? "0" : "") + minutes + "</span>";
+    }
+    
+    var label = "<span>" + time.hours  + ":00 </span>";
+    if (!time.suffix) {
+      return label;
+    }
+    var suffix = "<span class='subTitle'>" + time.suffix + "</span>";
+    return locale.prefix ? suffix + label : label + suffix;
+  };
+  
+  
+  /**
+   * Lays out events for a single day. Notifies the "reset" listeners.
+   *
+   * @param {Object[]} events An array of event objects. Each event object consists of a start time, end 
+   * Time (measured in minutes) from 9am, as well as a unique id. The 
+   * Start and end time of each event will be [0, 720]. The start time will 
+   * Be less than the end time.  The array is not sorted. 
+   * @returns {FB.ui.calendar.Event[]}  An array of event objects that has the width, the left and top positions set, 
+   * In addition to start time, end time, and id.
+   * @throws {Error} If two events share an id. The calendar keeps its events then.
+   */
+  Calendar.prototype.layOutDay = function(events) {
+    var events = this._setEvents(events);
+    this.render();
+    this.emit("reset", events);
+    return events;
+  };
+  
+  
+  /**
+   * Sets the events that should be shown in the event container of the
+   * calendar. Events with absolute start and end times are filtered by the
+   * displayed day, events crossing the bounds of the day are clipped.
+   * Notifies the "reset" listeners.
+   *
+   * @param {Object[]} events The events to show in the calendar.
+   * @returns {FB.ui.calendar.Event[]}  An array of event objects that has the width, the left and top positions set, 
+   * In addition to start time, end time, and id.
+   * @throws {Error} If two events share an id. The calendar keeps its events then.
+   */
+  Calendar.prototype.setEvents = function(events) {
+    var created = this._setEvents(events);
+    this.emit("reset", created);
+    return created;
+  };
+  
+  
+  /**
+   * Sets the events without notifying the listeners. See setEvents.
+   *
+   * @param {Object[]} events The events to show in the calendar.
+   * @returns {FB.ui.calendar.Event[]} The created events.
+   */
+  Calendar.prototype._setEvents = function(events) {
+    var dataById = {};
+    var length = events.length;
+    var created = [];
+  
+    for (var i=0; i < length; i++) {
+      var data = dataById[events[i].id] = Calendar._copy(events[i]);
+      created.push.apply(created, this._createEvents(data));
+    }
+  
+    // The tree rejects duplicate ids, so the calendar is only changed after it was built
+    var tree = Tree.fromArray(created, Event.comparator, {halfOpen : this._options.halfOpen});
+    this._data = dataById;
+    this._tree = tree;
+    this._events = tree.getOrderedData();    
+    return this._events;
+  };
+  
+  
+  /**
+   * Creates the event for the given data. Absolute start and end times are
+   * converted into minutes from options.from of the displayed day.
+   *
+   * @param {Object} data The event data.
+   * @returns {FB.ui.calendar.Event} The event. Returns 'null' if the event is not within the displayed day.
+   */
+  Calendar.prototype._createEvent = function(data) {
+    return Calendar.createEvent(data, this._date, this._options);
+  };
+  
+  
+  /**
+   * Creates the events for the given data. Recurring events are expanded into
+   * the occurrences within the displayed day.
+   *
+   * @param {Object} data The event data.
+   * @returns {FB.ui.calendar.Event[]} The events.
+   */
+  Calendar.prototype._createEvents = function(data) {
+    return Calendar.createEvents(data, this._date, this._options);
+  };
+  
+  
+  /**
+   * Creates the events for the given data and day. Recurring events (events with a rrule) are
+   * expanded into the occurrences within the day.
+   *
+   * @param {Object} data The event data.
+   * @param {Date} date The day.
+   * @param {Object} options The options of the view. The from, to and timeZone options are used.
+   * @returns {FB.ui.calendar.Event[]} The events.
+   */
+  Calendar.createEvents = function(data, date, options) {
+    if (Calendar.isBanner(data, options)) {
+      return [];
+    }
+    var occurrences = [data];
+    if (data.rrule) {
+      var range = Calendar.getRange(date, options);
+      occurrences = Recurrence.expand(data, range.from, range.to, options.timeZone);
+    }
+    
+    var events = [];
+    for (var i=0; i < occurrences.length; i++) {
+      var event = Calendar.createEvent(occurrences[i], date, options);
+      if (event !== null) {
+        events.push(event);
+      }
+    }
+    return events;
+  };
+  
+  
+  /**
+   * Creates the event for the given data and day. Absolute start and end times are
+   * converted into minutes from options.from of the day. Times without a time zone
+   * are interpreted in options.timeZone.
+   *
+   * @param {Object} data The event data.
+   * @param {Date} date The day.
+   * @param {Object} options The options of the view. The from, to and timeZone options are used.
+   * @returns {FB.ui.calendar.Event} The event. Returns 'null' if the event is not within the day.
+   */
+  Calendar.createEvent = function(data, date, options) {
+    var event = new Event(data, options.timeZone);
+    event.template = options.template;
+    event.resizable = options.resizable;
+    if (event.startDate !== null) {
+      var range = Calendar.getRange(date, options);
+      if (!event.clip(range.from, range.to)) {
+        return null;
+      }
+    }
+    return event;
+  };
+  
+  
+  /**
+   * Checks whether an event is shown as a banner in the lane above the timeline. These are
+   * all-day events and events that last options.bannerMinDuration minutes or longer.
+   *
+   * @param {Object} data The event data.
+   * @param {Object} options The options of the view.
+   * @returns {Boolean} True when the event is a banner.
+   */
+  Calendar.isBanner = function(data, options) {
+    if (data.allDay === true) {
+      return true;
+    }
+    if (typeof data.start == "number" || data.rrule || options.bannerMinDuration == null) {
+      return false;
+    }
+    var timeZone = data.timeZone || options.timeZone;
+    return Time.parse(data.end, timeZone).getTime() - Time.parse(data.start, timeZone).getTime() >= options.bannerMinDuration * 60000;
+  };
+  
+  
+  /**
+   * Returns the days a banner covers. The end of all-day events is exclusive and
+   * defaults to the day after the start day.
+   *
+   * @param {FB.ui.calendar.Event} event The banner.
+   * @param {Object} options The options of the view.
+   * @returns {Object} The covered days at midnight, the end day is exclusive.
+   * {
+   *   from : {Date},
+   *   to : {Date}
+   * }
+   */
+  Calendar.getBannerDays = function(event, options) {
+    var getDay = function(date) {
+      var parts = TimeZone.getParts(options.timeZone, date);
+      return new Date(parts.year, parts.month, parts.day);
+    };
+    // All-day events are floating, their Date objects denote local days
+    var getAllDay = function(value) {
+      return value instanceof Date ? Time.getDay(value) : Calendar.getDay(value, event.timeZone);
+    };
+    var from = event.allDay ? getAllDay(event.data.start) : getDay(event.startDate);
+    var to = null;
+    if (event.allDay) {
+      to = event.data.end != null ? getAllDay(event.data.end) : null;
+    } else {
+      // Timed events cover the day of their last minute
+      to = WeekView.getDay(getDay(new Date(event.endDate.getTime() - 1)), 1);
+    }
+    if (to === null || to <= from) {
+      to = WeekView.getDay(from, 1);
+    }
+    return {
+      from : from,
+      to : to
+    };
+  };
+  
+  
+  /**
+   * Draws banners into a lane element. The lane is hidden when there are no banners.
+   *
+   * @param {Element} element The lane element.
+   * @param {FB.ui.calendar.Event[]} banners The banners.
+   * @param {Date} date The first shown day.
+   * @param {Integer} days The number of shown days.
+   * @param {Integer} width The width of the lane.
+   * @param {Integer} offset The offset of the first column.
+   * @param {Object} options The options of the view.
+   * @returns {FB.ui.calendar.Event[]} The banners that cover one of the shown days.
+   */
+  Calendar.drawLane = function(element, banners, date, days, width, offset, options) {
+    var shown = [];
+    var columns = [];
+    var bannersById = {};
+    for (var i=0; i < banners.length; i++) {
+      var covered = Calendar.getBannerDays(banners[i], options);
+      var start = Math.round((covered.from.getTime() - date.getTime()) / 86400000);
+      var end = Math.round((covered.to.getTime() - date.getTime()) / 86400000);
+      if (end > 0 && start < days) {
+        shown.push(banners[i]);
+        bannersById[banners[i].id] = banners[i];
+        columns.push({id : banners[i].id, start : start, end : end});
+      }
+    }
+    
+    var layout = new Layout({width : width, offset : offset, rtl : Calendar.isRtl(options), bannerHeight : options.bannerHeight});
+    var layouts = layout.layOutBanners(columns, days);
+    var html = [];
+    for (var i=0; i < layouts.length; i++) {
+      var banner = bannersById[layouts[i].id];
+      html.push("<div id='" + Template.escape(banner.id) + "' class='" + options.bannerCssClass + "' role='option' tabindex='0' aria-label='"
+        + Template.escape(banner.title) + "' style='top:" + layouts[i].top + "px; left:" + layouts[i].left + "px; width:" + layouts[i].width
+        + "px; height:" + layouts[i].height + "px;'>" + Template.escape(banner.title) + "</div>");
+    }
+    element.innerHTML = html.join("");
+    element.style.height = (layouts.length > 0 ? layouts[layouts.length - 1].rows * options.bannerHeight : 0) + "px";
+    element.style.display = layouts.length > 0 ? "" : "none";
+    return shown;
+  };
+  
+  
+  /**
+   * Draws the banners that cover the displayed day into the lane.
+   */
+  Calendar.prototype._drawLane = function() {
+    this._banners = [];
+    if (this._laneElement === null) {
+      return;
+    }
+    var banners = [];
+    for (var id in this._data) {
+      if (Calendar.isBanner(this._data[id], this._options)) {
+        banners.push(new Event(this._data[id], this._options.timeZone));
+      }
+    }
+    this._banners = Calendar.drawLane(this._laneElement, banners, this._date, 1, this._options.width, this._options.offset, this._options);
+  };
+  
+  
+  /**
+   * Returns the banners that cover the displayed day, e.g. all-day events.
+   *
+   * @returns {FB.ui.calendar.Event[]} The banners.
+   */
+  Calendar.prototype.getBanners = function() {
+    return this._banners;
+  };
+  
+  
+  /**
+   * Returns the banner with the given id.
+   *
+   * @param {Integer} id The id of the banner.
+   * @returns {FB.ui.calendar.Event} The banner. Returns 'null' if no banner with the given id covers the displayed day.
+   */
+  Calendar.prototype.getBanner = function(id) {
+    for (var i=0; i < this._banners.length; i++) {
+      if (this._banners[i].id == id) {
+        return this._banners[i];
+      }
+    }
+    return null;
+  };
+  
+  
+  /**
+   * Returns the data of all events, including the events that are not within the displayed day.
+   *
+   * @returns {Object[]} The event data.
+   */
+  Calendar.prototype._getData = function() {
+    var data = [];
+    for (var id in this._data) {
+      data.push(this._data[id]);
+    }
+    return data;
+  };
+  
+  
+  /**
+   * Returns a shallow copy of an object.
+   *
+   * @param {Object} object The object to copy.
+   * @returns {Object} The copy.
+   */
+  Calendar._copy = function(object) {
+    var copy = {};
+    for (var key in object) {
+      copy[key] = object[key];
+    }
+    return copy;
+  };
+  
+  
+  /**
+   * Returns the events of the calendar, ordered by their start time.
+   *
+   * @returns {FB.ui.calendar.Event[]} The events of the calendar.
+   */
+  Calendar.prototype.getEvents = function() {
+    return this._events;
+  };
+  
+  
+  /**
+   * Returns the data the event with the given id was created from. Contains the changes
+   * made by moving, resizing or updating the event.
+   *
+   * @param {Integer} id The id of the event.
+   * @returns {Object} The event data. Returns 'null' if the calendar contains no data with the given id.
+   */
+  Calendar.prototype.getEventData = function(id) {
+    return this._data[id] || null;
+  };
+  
+  
+  /**
+   * Returns the event with the given id.
+   *
+   * @param {Integer} id The id of the event.
+   * @returns {FB.ui.calendar.Event} The event. Returns 'null' if the calendar contains no event with the given id.
+   */
+  Calendar.prototype.getEvent = function(id) {
+    return this._tree !== null ? this._tree.getById(id) : null;
+  };
+  
+  
+  /**
+   * Returns the event that is rendered by the given element or one of its descendants.
+   * Returns the banner for the elements of the lane.
+   *
+   * @param {Element} element The element.
+   * @returns {FB.ui.calendar.Event} The event. Returns 'null' if the element does not belong to an event of the calendar.
+   */
+  Calendar.prototype.getEventByElement = function(element) {
+    while (element != null && element.parentNode !== this._eventsElement) {
+      if (element.parentNode === this._laneElement && this._laneElement !== null) {
+        return this.getBanner(element.id);
+      }
+      element = element.parentNode;
+    }
+    if (element == null || this._eventElements[element.id] !== element) {
+      return null;
+    }
+    return this.getEvent(element.id);
+  };
+  
+  
+  /**
+   * Returns the rendered element of an event.
+   *
+   * @param {Integer} id The id of the event.
+   * @returns {Element} The element. Returns 'null' if the event is not rendered.
+   */
+  Calendar.prototype.getEventElement = function(id) {
+    return this._eventElements[id] || null;
+  };
+  
+  
+  /**
+   * Exports the events of the calendar as iCalendar data. Events with absolute
+   * times are exported unclipped, the times of all other events are relative to
+   * options.from of the displayed day. The banners of the displayed day are exported as well.
+   * Recurring events are exported as a whole, with their rule and exceptions, instead of
+   * the occurrences of the displayed day.
+   *
+   * @param {Date} [stamp] The time the data was created. Defaults to now.
+   * @returns {String} The iCalendar data.
+   */
+  Calendar.prototype.toICal = function(stamp) {
+    var events = this._events || [];
+    var from = Calendar.getRange(this._date, this._options).from.getTime();
+    var data = [];
+    for (var i=0; i < events.length; i++) {
+      var event = events[i];
+      if (this._isOccurrence(event)) {
+        continue;
+      }
+      data.push({
+        id : event.id,
+        start : event.startDate || new Date(from + event.start * 60000),
+        end : event.endDate || new Date(from + event.end * 60000),
+        title : event.title,
+        location : event.location,
+        description : event.description
+      });
+    }
+    for (var id in this._data) {
+      var series = this._data[id];
+      if (series.rrule) {
+        data.push({
+          id : series.id,
+          start : series.start,
+          end : series.end,
+          timeZone : series.timeZone || this._options.timeZone,
+          rrule : series.rrule,
+          exdate : series.exdate,
+          title : series.title,
+          location : series.location,
+          description : series.description
+        });
+      }
+    }
+    for (var i=0; i < this._banners.length; i++) {
+      var banner = this._banners[i];
+      var days = Calendar.getBannerDays(banner, this._options);
+      data.push({
+        id : banner.id,
+        start : banner.allDay ? days.from : banner.startDate,
+        end : banner.allDay ? days.to : banner.endDate,
+        allDay : banner.allDay,
+        title : banner.title,
+        location : banner.location,
+        description : banner.description
+      });
+    }
+    return ICal.stringify(data, stamp);
+  };
+  
+  
+  /**
+   * Clears the calendar. Removes all events from the calendar canvas.
+   */
+  Calendar.prototype.clear = function() {
+    this._eventsElement.innerHTML = "";
+    this._renderedEvents = {};
+    this._eventElements = {};
+    this._states = {};
+  };
+  
+  
+  /**
+   * Checks whether a certain event is rendered or not.
+   *
+   * @param {FB.ui.calendar.Event} event The event to check.
+   * @returns {Boolean} True when rendered.
+   */
+  Calendar.prototype.isRendered = function(event) {
+    return this._renderedEvents[event.id] === true;
+  };
+  
+  
+  /**
+   * Sets the rendered state of the event.
+   * 
+   * @param {FB.ui.calendar.Event} event The event that should be marked as rendered.
+   */
+  Calendar.prototype._setIsRendered = function(event) {
+    this._renderedEvents[event.id] = true;
+  };
+  
+  
+  /**
+   * Returns all colliding events for a certain event.
+   *
+   * @param {FB.ui.calendar.Event} event The event to check collisons for.
+   * returns {FB.ui.calendar.Event[]} The collding events for the given event. 
+   */
+  Calendar.prototype.getCollisions = function(event) {
+    return this._tree.searchInterval(event);
+  };
+  
+  
+  /**
+   * Renders the calendar. All set events will be rendered in the calendar container.
+   */
+  Calendar.prototype.render = function() {
+    var events = this._events;
+    if (events === null) throw new Error("No events set");
+    
+    this.emit("beforerender", events);
+    this._drawLane();
+    
+    // The elements of the shown events are reused, all other elements are removed
+    var shown = {};
+    for (var i=0; i < events.length; i++) {
+      shown[events[i].id] = true;
+    }
+    for (var id in this._eventElements) {
+      if (!shown[id]) {
+        this._removeElementById(id);
+      }
+    }
+    this._renderedEvents = {};
+    this._render(events);
+    
+    if (this._nowElement !== null) {
+      this._eventsElement.appendChild(this._nowElement);
+      if (this._options.scrollToNow && !this._scrolledToNow) {
+        this._scrolledToNow = true;
+        this.scrollToNow();
+      } else {
+        this.updateNow();
+      }
+    }
+    this.emit("afterrender", events);
+  };
+  
+  
+  /**
+   * Adds a single event to the calendar. Only the events that collide with the new
+   * event are laid out and rendered again.
+   * Notifies the "add" listeners.
+   *
+   * @param {Object} event The event to add. Consists of a unique id, a start and an end time.
+   * @returns {FB.ui.calendar.Event} The added event. Returns the first occurrence for recurring events and
+   *                                 'null' if the event is not within the displayed day.
+   * @throws {Error} If the calendar already contains an event with the same id.
+   */
+  Calendar.prototype.addEvent = function(event) {
+    var added = this._addEvent(event);
+    if (added !== null) {
+      this.emit("add", added);
+    }
+    return added;
+  };
+  
+  
+  /**
+   * Adds a single event to the calendar without notifying the listeners. See addEvent.
+   *
+   * @param {Object} event The event to add.
+   * @returns {FB.ui.calendar.Event} The added event.
+   */
+  Calendar.prototype._addEvent = function(event) {
+    if (this._tree === null) {
+      this._setEvents([]);
+    }
+    if (this._data[event.id] != null || this._tree.getById(event.id) !== null) {
+      throw new Error("Duplicate id: " + event.id);
+    }
+    var data = this._data[event.id] = Calendar._copy(event);
+    if (Calendar.isBanner(data, this._options)) {
+      this._drawLane();
+      return this.getBanner(data.id);
+    }
+    var events = this._createEvents(data);
+    if (events.length === 0) {
+      return null;
+    }
+    for (var i=0; i < events.length; i++) {
+      this._tree.insert(events[i]);
+    }
+    this._events = this._tree.getOrderedData();
+    
+    this._relayout(events);
+    return events[0];
+  };
+  
+  
+  /**
+   * Removes a single event from the calendar. Only the events that collided with the
+   * removed event are laid out and rendered again. When an occurrence of a recurring event
+   * is removed, the scope determines whether only the occurrence or the whole series is removed.
+   * Notifies the "remove" listeners.
+   *
+   * @param {Integer} id The id of the event to remove.
+   * @param {String} [scope] FB.data.Recurrence.OCCURRENCE (default) or FB.data.Recurrence.SERIES.
+   * @returns {FB.ui.calendar.Event|Object} The removed event. The data of the recurring event, when the id of a series
+   *                                        is given. Returns 'null' if the calendar contains no event with the given id.
+   */
+  Calendar.prototype.removeEvent = function(id, scope) {
+    var removed = this._removeEvent(id, scope);
+    if (removed !== null) {
+      this.emit("remove", removed);
+      if (removed.id === this._selectedId) {
+        this._selectedId = null;
+        this.emit("selectionchange", null, removed);
+      }
+    }
+    return removed;
+  };
+  
+  
+  /**
+   * Removes a single event from the calendar without notifying the listeners. See removeEvent.
+   *
+   * @param {Integer} id The id of the event to remove.
+   * @param {String} [scope] FB.data.Recurrence.OCCURRENCE (default) or FB.data.Recurrence.SERIES.
+   * @returns {FB.ui.calendar.Event} The removed event.
+   */
+  Calendar.prototype._removeEvent = function(id, scope) {
+    var event = this._tree !== null ? this._tree.getById(id) : null;
+    if (event !== null && this._isOccurrence(event)) {
+      if (scope === Recurrence.SERIES) {
+        delete this._data[event.seriesId];
+        this._refresh();
+        return event;
+      }
+      this._detachOccurrence(event);
+    }
+    
+    var data = this._data[id];
+    delete this._data[id];
+    if (data && data.rrule) {
+      this._refresh();
+      return data;
+    }
+    if (data && Calendar.isBanner(data, this._options)) {
+      var banner = this.getBanner(id);
+      this._drawLane();
+      return banner;
+    }
+    if (event === null) {
+      return null;
+    }
+    var collisions = this.getCollisions(event);
+    
+    this._tree.remove(event);
+    this._events = this._tree.getOrderedData();
+    this._removeElement(event);
+    
+    this._relayout(collisions);
+    return event;
+  };
+  
+  
+  /**
+   * Changes the start and / or end time of a single event. Only the events that collided
+   * with the event before and after the change are laid out and rendered again. When an
+   * occurrence of a recurring event is changed, the scope determines whether the occurrence
+   * is detached from the series or the whole series is moved by the same amount of time.
+   * Notifies the "update" listeners.
+   *
+   * @param {Integer} id The id of the event to update.
+   * @param {Object} changes The new times of the event.
+   * @param {Integer|Date|String} [changes.start] The new start time of the event.
+   * @param {Integer|Date|String} [changes.end] The new end time of the event.
+   * @param {String} [scope] FB.data.Recurrence.OCCURRENCE (default) or FB.data.Recurrence.SERIES.
+   * @returns {FB.ui.calendar.Event|Object} The updated event. A copy of the data of the recurring event, when the id of a
+   *                                        series is given. Returns 'null' if the calendar contains no event with the given id
+   *                                        or the event is not within the displayed day anymore.
+   */
+  Calendar.prototype.updateEvent = function(id, changes, scope) {
+    var updated = this._updateEvent(id, changes, scope);
+    if (updated !== null) {
+      this.emit("update", updated);
+    }
+    return updated;
+  };
+  
+  
+  /**
+   * Changes a single event without notifying the listeners. See updateEvent.
+   *
+   * @param {Integer} id The id of the event to update.
+   * @param {Object} changes The new times of the event.
+   * @param {String} [scope] FB.data.Recurrence.OCCURRENCE (default) or FB.data.Recurrence.SERIES.
+   * @returns {FB.ui.calendar.Event} The updated event.
+   */
+  Calendar.prototype._updateEvent = function(id, changes, scope) {
+    var oldEvent = this._tree !== null ? this._tree.getById(id) : null;
+    if (oldEvent !== null && this._isOccurrence(oldEvent)) {
+      if (scope === Recurrence.SERIES) {
+        return this._updateSeries(oldEvent, changes);
+      }
+      this._detachOccurrence(oldEvent);
+    }
+    
+    var data = this._data[id];
+    if (data == null) {
+      return null;
+    }
+    if (changes.start != null) {
+      data.start = changes.start;
+    }
+    if (changes.end != null) {
+      data.end = changes.end;
+    }
+    if (data.rrule) {
+      this._refresh();
+      return Calendar._copy(data);
+    }
+    if (Calendar.isBanner(data, this._options) || this.getBanner(id) !== null) {
+      // The event may have moved between the lane and the timeline
+      this._refresh();
+      return this.getBanner(id) || this.getEvent(id);
+    }
+    
+    // The start time is the key of the tree, so the event has to be inserted again
+    var collisions = [];
+    if (oldEvent !== null) {
+      collisions = this.getCollisions(oldEvent);
+      this._tree.remove(oldEvent);
+    }
+    
+    var event = this._createEvent(data);
+    if (event !== null) {
+      this._tree.insert(event);
+      collisions.push(event);
+    } else if (oldEvent !== null) {
+      this._removeElement(oldEvent);
+    }
+    this._events = this._tree.getOrderedData();
+    
+    this._relayout(collisions);
+    return event;
+  };
+  
+  
+  /**
+   * Moves an event to a new start time and keeps its duration. Notifies the "change"
+   * listeners with the event, its old times and its new times. The times are Date objects for
+   * events with absolute times and minutes for all other events.
+   *
+   * @param {Integer} id The id of the event to move.
+   * @param {Integer} start The new start time in minutes from the start of the displayed time range.
+   * @param {String} [scope] FB.data.Recurrence.OCCURRENCE (default) or FB.data.Recurrence.SERIES.
+   * @returns {FB.ui.calendar.Event} The moved event. Returns 'null' if the calendar contains no event with the given id.
+   */
+  Calendar.prototype.moveEvent = function(id, start, scope) {
+    var event = this.getEvent(id);
+    if (event === null) {
+      return null;
+    }
+    
+    var changes = {
+      start : start,
+      end : start + event.duration
+    };
+    if (event.startDate !== null) {
+      var from = Calendar.getRange(this._date, this._options).from.getTime() + start * 60000;
+      changes.start = new Date(from);
+      changes.end = new Date(from + event.endDate.getTime() - event.startDate.getTime());
+    }
+    var oldTimes = Calendar.getTimes(event);
+    
+    var moved = this.updateEvent(event.id, changes, scope);
+    this.emit("change", moved || event, oldTimes, changes);
+    return moved;
+  };
+  
+  
+  /**
+   * Returns the start and end time of an event. The times are Date objects for
+   * events with absolute times and minutes for all other events.
+   *
+   * @param {FB.ui.calendar.Event} event The event.
+   * @returns {Object} The times of the event.
+   * {
+   *   start : {Integer|Date},
+   *   end : {Integer|Date}
+   * }
+   */
+  Calendar.getTimes = function(event) {
+    return {
+      start : event.startDate || event.start,
+      end : event.endDate || event.end
+    };
+  };
+  
+  
+  /**
+   * Returns the snapped start time of an event that is dragged by the given distance. The
+   * start time is snapped to options.snap minutes and clamped to the displayed time range.
+   *
+   * @param {FB.ui.calendar.Event} event The dragged event.
+   * @param {Integer} offset The vertical distance in pixels.
+   * @returns {Integer} The start time in minutes from the start of the displayed time range.
+   */
+  Calendar.prototype.getDropStart = function(event, offset) {
+    var snap = this._options.snap;
+    var start = event.start + offset / this._getScale();
+    start = snap > 0 ? Math.round(start / snap) * snap : Math.round(start);
+    return Math.max(0, Math.min(start, this._getLength() - event.duration));
+  };
+  
+  
+  /**
+   * Changes the end time of an event. Notifies the "resize" listeners with the event, its old
+   * times and its new times first. The change is canceled when a listener returns false.
+   * Notifies the "change" listeners afterwards.
+   *
+   * @param {Integer} id The id of the event to resize.
+   * @param {Integer} end The new end time in minutes from the start of the displayed time range.
+   * @param {String} [scope] FB.data.Recurrence.OCCURRENCE (default) or FB.data.Recurrence.SERIES.
+   * @returns {FB.ui.calendar.Event} The resized event. Returns 'null' if the calendar contains no event with the given id
+   *                                 or the change was canceled.
+   */
+  Calendar.prototype.resizeEvent = function(id, end, scope) {
+    var event = this.getEvent(id);
+    if (event === null) {
+      return null;
+    }
+    
+    var changes = {
+      start : event.start,
+      end : end
+    };
+    if (event.startDate !== null) {
+      changes.start = event.startDate;
+      changes.end = new Date(Calendar.getRange(this._date, this._options).from.getTime() + end * 60000);
+    }
+    var oldTimes = Calendar.getTimes(event);
+    if (!this.emit("resize", event, oldTimes, changes)) {
+      return null;
+    }
+    
+    var resized = this.updateEvent(event.id, {end : changes.end}, scope);
+    this.emit("change", resized || event, oldTimes, changes);
+    return resized;
+  };
+  
+  
+  /**
+   * Returns the snapped end time of an event whose bottom edge is dragged by the given
+   * distance. The end time is snapped to options.snap minutes, respects options.minDuration
+   * and is clamped to the displayed time range.
+   *
+   * @param {FB.ui.calendar.Event} event The resized event.
+   * @param {Integer} offset The vertical distance in pixels.
+   * @returns {Integer} The end time in minutes from the start of the displayed time range.
+   */
+  Calendar.prototype.getResizeEnd = function(event, offset) {
+    var snap = this._options.snap;
+    var end = event.end + offset / this._getScale();
+    end = snap > 0 ? Math.round(end / snap) * snap : Math.round(end);
+    return Math.min(Math.max(end, event.start + this._options.minDuration), this._getLength());
+  };
+  
+  
+  /**
+   * Handles the native events of the calendar element and notifies the listeners.
+   *
+   * @param {Event} e The native event object.
+   */
+  Calendar.prototype._onDomEvent = function(e) {
+    var target = Element.getTarget(e);
+    var event = this.getEventByElement(target);
+    if (e.type == "mousedown") {
+      this._onMouseDown(e);
+    } else if (e.type == "click") {
+      if (event !== null) {
+        this.select(event.id);
+        this.emit("eventclick", event, e);
+      } else if (target === this._eventsElement) {
+        this.select(null);
+      }
+    } else if (e.type == "dblclick") {
+      if (event !== null) {
+        this.emit("eventdblclick", event, e);
+        this.emit("eventopen", event, e);
+      } else {
+        this._onDblClick(e);
+      }
+    } else if (e.type == "mouseover") {
+      // Moving the mouse within the element of an event is no new hover
+      if (event !== null && this.getEventByElement(e.relatedTarget) !== event) {
+        this.emit("eventhover", event, e);
+      }
+    } else if (e.type == "keydown") {
+      if (event !== null) {
+        this._onKeyDown(e, event);
+      }
+    }
+  };
+  
+  
+  /**
+   * Handles the keydown event of a focused event. The arrow keys move the focus to the
+   * next or previous event in time order (up and down) or to the next colliding event in the
+   * column to the left or right. Enter opens the event. With the alt key pressed, up and down
+   * move a draggable event, with the shift key pressed they resize a resizable event.
+   *
+   * @param {Event} e The native event object.
+   * @param {FB.ui.calendar.Event} event The focused event.
+   */
+  Calendar.prototype._onKeyDown = function(e, event) {
+    var key = e.keyCode;
+    if (key == 13) {
+      this.emit("eventopen", event, e);
+      return;
+    }
+    if (key < 37 || key > 40) {
+      return;
+    }
+    Element.preventDefault(e);
+    
+    var step = key == 38 ? -1 : 1;
+    var snap = this._options.snap > 0 ? this._options.snap : 1;
+    var target = null;
+    if ((key == 38 || key == 40) && e.altKey && this._options.draggable) {
+      var start = Math.max(0, Math.min(event.start + step * snap, this._getLength() - event.duration));
+      target = start !== event.start ? this.moveEvent(event.id, start) : event;
+    } else if ((key == 38 || key == 40) && e.shiftKey && this._options.resizable) {
+      var end = Math.max(event.start + this._options.minDuration, Math.min(event.end + step * snap, this._getLength()));
+      target = end !== event.end ? this.resizeEvent(event.id, end) || event : event;
+    } else if (key == 38 || key == 40) {
+      target = this._getSibling(event, step);
+    } else {
+      // The columns are mirrored in right to left layouts
+      target = this._getNeighbour(event, (key == 37) === !Calendar.isRtl(this._options) ? -1 : 1);
+    }
+    
+    if (target !== null) {
+      this.focus(target.id);
+    }
+  };
+  
+  
+  /**
+   * Returns the next or previous event in time order. Events with the same start time keep
+   * the order of the tree, which is the order of their columns.
+   *
+   * @param {FB.ui.calendar.Event} event The event to start from.
+   * @param {Integer} step 1 for the next event, -1 for the previous event.
+   * @returns {FB.ui.calendar.Event} The sibling. Returns 'null' if there is no sibling.
+   */
+  Calendar.prototype._getSibling = function(event, step) {
+    var cursor = this._tree.cursor(event.start, {reverse : step < 0});
+    while (cursor.hasNext()) {
+      if (cursor.next() === event) {
+        return cursor.next();
+      }
+    }
+    return null;
+  };
+  
+  
+  /**
+   * Returns the colliding event in the nearest column to the left or right. Prefers the
+   * event whose start time is closest to the start time of the given event.
+   *
+   * @param {FB.ui.calendar.Event} event The event to start from.
+   * @param {Integer} direction -1 for the left column, 1 for the right column.
+   * @returns {FB.ui.calendar.Event} The neighbour. Returns 'null' if there is no neighbour.
+   */
+  Calendar.prototype._getNeighbour = function(event, direction) {
+    var collisions = this.getCollisions(event);
+    var result = null;
+    for (var i=0; i < collisions.length; i++) {
+      var candidate = collisions[i];
+      var distance = (candidate.left - event.left) * direction;
+      if (candidate === event || distance <= 0) {
+        continue;
+      }
+      if (result === null) {
+        result = candidate;
+        continue;
+      }
+      var resultDistance = (result.left - event.left) * direction;
+      if (distance < resultDistance || (distance === resultDistance
+          && Math.abs(candidate.start - event.start) < Math.abs(result.start - event.start))) {
+        result = candidate;
+      }
+    }
+    return result;
+  };
+  
+  
+  /**
+   * Focuses and selects an event.
+   *
+   * @param {Integer} id The id of the event to focus.
+   */
+  Calendar.prototype.focus = function(id) {
+    var element = this.getEventElement(id);
+    var event = this.getEvent(id);
+    if (element === null && this._options.virtual && event !== null && this.isRendered(event)) {
+      // Events outside of the viewport of a virtual calendar are scrolled into view first
+      this._element.scrollTop = event.top + this._eventsElement.offsetTop;
+      this.updateViewport();
+      element = this.getEventElement(id);
+    }
+    if (element !== null) {
+      this.select(id);
+      element.focus();
+    }
+  };
+  
+  
+  /**
+   * Selects an event. Notifies the "selectionchange" listeners when the selection changes.
+   *
+   * @param {Integer} id The id of the event to select. 'null' to clear the selection.
+   */
+  Calendar.prototype.select = function(id) {
+    var previous = this.getSelection();
+    var event = id != null ? this.getEvent(id) : null;
+    if (event === previous) {
+      return;
+    }
+    this._selectedId = event !== null ? event.id : null;
+    if (previous !== null) {
+      this._setSelected(previous, false);
+    }
+    if (event !== null) {
+      this._setSelected(event, true);
+    }
+    this.emit("selectionchange", event, previous);
+  };
+  
+  
+  /**
+   * Returns the selected event.
+   *
+   * @returns {FB.ui.calendar.Event} The selected event. Returns 'null' if no event is selected.
+   */
+  Calendar.prototype.getSelection = function() {
+    return this._selectedId !== null ? this.getEvent(this._selectedId) : null;
+  };
+  
+  
+  /**
+   * Marks an event and its element as selected or not.
+   *
+   * @param {FB.ui.calendar.Event} event The event.
+   * @param {Boolean} selected Whether the event is selected.
+   */
+  Calendar.prototype._setSelected = function(event, selected) {
+    event.selected = selected;
+    var element = this.getEventElement(event.id);
+    if (element !== null) {
+      element.setAttribute("aria-selected", String(selected));
+      if (selected) {
+        Element.addClass(element, Event.SELECTED_CSS_CLASS);
+      } else {
+        Element.removeClass(element, Event.SELECTED_CSS_CLASS);
+      }
+      var state = this._states[event.id];
+      if (state) {
+        state.className = element.className;
+        state.selected = selected;
+      }
+    }
+  };
+  
+  
+  /**
+   * Handles the mousedown event of the events element. Starts to drag an event or
+   * its resize handle.
+   *
+   * @param {Event} e The native event object.
+   */
+  Calendar.prototype._onMouseDown = function(e) {
+    if (e.button == 2) {
+      return;
+    }
+    var target = Element.getTarget(e);
+    if (target === this._eventsElement) {
+      if (this._options.creatable) {
+        this._startCreate(e);
+      }
+      return;
+    }
+    var event = this.getEventByElement(target);
+    if (event === null) {
+      return;
+    }
+    if (target.className == Event.RESIZE_HANDLE_CSS_CLASS) {
+      if (this._options.resizable) {
+        this._startResize(e, event);
+      }
+    } else if (this._options.draggable) {
+      this._startMove(e, event);
+    }
+  };
+  
+  
+  /**
+   * Handles the dblclick event of the events element. Creates an event with
+   * options.defaultDuration at the clicked slot.
+   *
+   * @param {Event} e The native event object.
+   */
+  Calendar.prototype._onDblClick = function(e) {
+    if (this._options.creatable && Element.getTarget(e) === this._eventsElement) {
+      var start = this._getSlot(e.clientY);
+      this._create(start, Math.min(start + this._options.defaultDuration, this._getLength()));
+    }
+  };
+  
+  
+  /**
+   * Starts to draw a provisional event on the empty area of the calendar. The provisional
+   * event covers the slots between the start position and the mouse. options.onCreate is
+   * called when the mouse button is released.
+   *
+   * @param {Event} e The native mousedown event.
+   */
+  Calendar.prototype._startCreate = function(e) {
+    var self = this;
+    var slot = this._options.snap > 0 ? this._options.snap : 1;
+    var anchor = this._getSlot(e.clientY);
+    var start = anchor;
+    var end = anchor;
+    var element = document.createElement("div");
+    element.className = "event " + this._options.provisionalCssClass;
+    
+    var remove = function() {
+      if (element.parentNode) {
+        element.parentNode.removeChild(element);
+      }
+    };
+    
+    var y = e.clientY;
+    new Drag(e, function(dx, dy) {
+      var current = self._getSlot(y + dy);
+      start = Math.min(anchor, current);
+      end = Math.min(Math.max(anchor, current) + slot, self._getLength());
+      
+      var layout = self._layout.layOut([{id : null, start : start, end : end}])[0];
+      element.style.top = layout.top + "px";
+      element.style.left = layout.left + "px";
+      element.style.width = layout.width + "px";
+      element.style.height = layout.height + "px";
+      self._eventsElement.appendChild(element);
+    }, function() {
+      remove();
+      if (end > start) {
+        self._create(start, end);
+      }
+    }, remove);
+  };
+  
+  
+  /**
+   * Returns the slot at the given vertical mouse position. The slots are options.snap minutes long.
+   *
+   * @param {Integer} clientY The vertical mouse position relative to the viewport.
+   * @returns {Integer} The start of the slot in minutes from the start of the displayed time range.
+   */
+  Calendar.prototype._getSlot = function(clientY) {
+    var slot = this._options.snap > 0 ? this._options.snap : 1;
+    var minutes = (clientY - this._eventsElement.getBoundingClientRect().top) / this._getScale();
+    return Math.max(0, Math.min(Math.floor(minutes / slot) * slot, this._getLength() - slot));
+  };
+  
+  
+  /**
+   * Notifies the "create" listeners with the start and end time of the event to create. The times
+   * are passed as minutes from the start of the displayed time range and as Date objects.
+   *
+   * @param {Integer} start The start time in minutes from the start of the displayed time range.
+   * @param {Integer} end The end time in minutes from the start of the displayed time range.
+   */
+  Calendar.prototype._create = function(start, end) {
+    var from = Calendar.getRange(this._date, this._options).from.getTime();
+    this.emit("create", start, end, {
+      start : new Date(from + start * 60000),
+      end : new Date(from + end * 60000)
+    });
+  };
+  
+  
+  /**
+   * Starts to resize an event. The collision group of the event is laid out again
+   * while the bottom edge is dragged. The event is resized when the mouse button is released.
+   *
+   * @param {Event} e The native mousedown event.
+   * @param {FB.ui.calendar.Event} event The event to resize.
+   */
+  Calendar.prototype._startResize = function(e, event) {
+    var self = this;
+    var original = event.end;
+    var end = original;
+    
+    new Drag(e, function(x, y) {
+      // The end of the event changes while resizing, so the offset is measured from the current end
+      var value = self.getResizeEnd(event, y + (original - event.end) * self._getScale());
+      if (value !== end) {
+        end = value;
+        self._setEnd(event, end);
+      }
+    }, function(x, y) {
+      self._setEnd(event, original);
+      if (end !== original) {
+        self.resizeEvent(event.id, end);
+      }
+    }, function() {
+      self._setEnd(event, original);
+    });
+  };
+  
+  
+  /**
+   * Changes the end time of a rendered event temporarily and lays out its collision group again.
+   *
+   * @param {FB.ui.calendar.Event} event The event.
+   * @param {Integer} end The end time in minutes from the start of the displayed time range.
+   */
+  Calendar.prototype._setEnd = function(event, end) {
+    if (event.end === end) {
+      return;
+    }
+    // The max values of the tree depend on the end time, so the event has to be inserted again
+    var collisions = this.getCollisions(event);
+    this._tree.remove(event);
+    event.end = end;
+    event.duration = end - event.start;
+    this._tree.insert(event);
+    this._relayout(collisions.concat([event]));
+  };
+  
+  
+  /**
+   * Starts to move an event vertically. The event element follows the mouse in snapped
+   * steps. The event is moved when the mouse button is released.
+   *
+   * @param {Event} e The native mousedown event.
+   * @param {FB.ui.calendar.Event} event The event to move.
+   */
+  Calendar.prototype._startMove = function(e, event) {
+    var self = this;
+    var element = this.getEventElement(event.id);
+    var className = element.className;
+    var start = event.start;
+    element.className += " " + this._options.draggingCssClass;
+    
+    new Drag(e, function(x, y) {
+      start = self.getDropStart(event, y);
+      element.style.top = self.getTop(start) + "px";
+    }, function(x, y) {
+      element.className = className;
+      if (start !== event.start) {
+        self.moveEvent(event.id, start);
+      }
+    }, function() {
+      element.className = className;
+      element.style.top = event.top + "px";
+    });
+  };
+  
+  
+  /**
+   * Checks whether an event is an occurrence of a recurring event, which was not
+   * detached from its series yet.
+   *
+   * @param {FB.ui.calendar.Event} event The event to check.
+   * @returns {Boolean} True when the event is an occurrence.
+   */
+  Calendar.prototype._isOccurrence = function(event) {
+    return event.seriesId !== null && this._data[event.seriesId] != null && this._data[event.id] == null;
+  };
+  
+  
+  /**
+   * Detaches an occurrence from its recurring event. The occurrence is excluded from
+   * the series and becomes an event on its own, keeping its id.
+   *
+   * @param {FB.ui.calendar.Event} event The occurrence to detach.
+   */
+  Calendar.prototype._detachOccurrence = function(event) {
+    var series = this._data[event.seriesId];
+    series.exdate = (series.exdate || []).concat([event.recurrenceId]);
+    
+    var data = Calendar._copy(series);
+    delete data.rrule;
+    delete data.exdate;
+    data.id = event.id;
+    data.start = event.startDate;
+    data.end = event.endDate;
+    data.seriesId = event.seriesId;
+    data.recurrenceId = event.recurrenceId;
+    this._data[event.id] = data;
+  };
+  
+  
+  /**
+   * Moves all occurrences of a recurring event by the same amount of time the given
+   * occurrence is moved.
+   *
+   * @param {FB.ui.calendar.Event} event The changed occurrence.
+   * @param {Object} changes The new times of the occurrence.
+   * @returns {FB.ui.calendar.Event} The updated occurrence. Returns 'null' if it is not within the displayed day anymore.
+   */
+  Calendar.prototype._updateSeries = function(event, changes) {
+    var series = this._data[event.seriesId];
+    if (changes.start != null) {
+      series.start = new Date(Time.parse(series.start).getTime() + Time.parse(changes.start).getTime() - event.startDate.getTime());
+    }
+    if (changes.end != null) {
+      series.end = new Date(Time.parse(series.end).getTime() + Time.parse(changes.end).getTime() - event.endDate.getTime());
+    }
+    this._refresh();
+    return this._tree.getById(event.id);
+  };
+  
+  
+  /**
+   * Returns all events that are transitively colliding with the given events. These events
+   * have to share the same bins and therefore have to be laid out together.
+   *
+   * @param {FB.ui.calendar.Event[]} events The events to start from.
+   * @returns {FB.ui.calendar.Event[]} The ordered collision group.
+   */
+  Calendar.prototype._getCollisionGroup = function(events) {
+    var group = {};
+    var queue = [];
+    for (var i=0; i < events.length; i++) {
+      if (this._tree.getById(events[i].id) === events[i]) {
+        queue.push(events[i]);
+      }
+    }
+    
+    while (queue.length > 0) {
+      var event = queue.pop();
+      if (!group[event.id]) {
+        group[event.id] = event;
+        queue.push.apply(queue, this.getCollisions(event));
+      }
     }
-
-    return {
-      hours : hours,
-      suffix : suffix
+    
+    var result = [];
+    for (var id in group) {
+      result.push(group[id]);
+    }
+    return result.sort(function(event1, event2) {
+      return event1.start - event2.start;
+    });
+  };
+  
+  
+  /**
+   * Returns the accessible label of an event, consisting of its title and its time range.
+   *
+   * @param {FB.ui.calendar.Event} event The event.
+   * @param {Integer} from The start of the displayed time range in milliseconds.
+   * @returns {String} The label.
+   */
+  Calendar.prototype._getLabel = function(event, from) {
+    var options = this._options;
+    var format = function(date) {
+      var parts = TimeZone.getParts(options.timeZone, date);
+      return Time.formatTime(parts.hours, parts.minutes, options.locale);
     };
+    var start = event.startDate || new Date(from + event.start * 60000);
+    var end = event.endDate || new Date(from + event.end * 60000);
+    return (event.title ? event.title + ", " : "") + format(start) + " - " + format(end);
   };
   
   
-  /** @exports Browser as FB.Browser */
-  var Browser = 
-    /**
-     * Browser util class. Provides helper methods for better browser detection.
-     *
-     * @constructor
-     */
-    FB.Browser = function() {};
+  /**
+   * Lays out and renders the collision groups of the given events again. The elements of
+   * all other events are left untouched.
+   *
+   * @param {FB.ui.calendar.Event[]} events The events whose collision groups have changed.
+   */
+  Calendar.prototype._relayout = function(events) {
+    var group = this._getCollisionGroup(events);
+    this.emit("beforerender", group);
+    this._render(group);
+    this.emit("afterrender", group);
+  };
+  
   
   /**
-   * Constant that indicates whether the browser is a IE6.
+   * Removes the element of an event from the calendar.
+   *
+   * @param {FB.ui.calendar.Event} event The event whose element should be removed.
    */
-  Browser.IE6 = /msie|MSIE 6/.test(navigator.userAgent);
-
-
+  Calendar.prototype._removeElement = function(event) {
+    this._removeElementById(event.id);
+  };
+  
+  
   /**
-   * Constant that indicates whether the browser is a IE7.
+   * Removes the element of the event with the given id from the calendar.
+   *
+   * @param {Integer} id The id of the event whose element should be removed.
    */
-  Browser.IE7 = /msie|MSIE 7/.test(navigator.userAgent);
-
-
+  Calendar.prototype._removeElementById = function(id) {
+    this._detachElement(id);
+    delete this._renderedEvents[id];
+  };
+  
+  
   /**
-   * Constant that indicates whether the browser supports border box.
-   * This check might be replaced later by a feature detection (e.g., to ignore all
-   * browser that only say they are IE7 but support border box)
+   * Removes the element of an event, but keeps its layout. Used for the events
+   * of virtual calendars that left the visible range.
+   *
+   * @param {Integer} id The id of the event whose element should be removed.
    */
-  Browser.BORDER_BOX = (!Browser.IE6 && !Browser.IE7);
+  Calendar.prototype._detachElement = function(id) {
+    var element = this._eventElements[id];
+    if (element) {
+      this._eventsElement.removeChild(element);
+      delete this._eventElements[id];
+      delete this._states[id];
+    }
+  };
   
-
-  /** @exports Element as FB.Element */
-  var Element = 
+  
+  /**
+   * Protected render method. Lays out the given events and updates their elements.
+   * Virtual calendars only update the elements of the events within the visible range,
+   * the layouts of all other events are kept until they are scrolled into view.
+   * 
+   * @param {FB.ui.calendar.Event[]} events The events to render in this roundtrip.
+   */
+  Calendar.prototype._render = function(events) {
+    var eventsById = {};
+    for (var i=0; i < events.length; i++) {
+      eventsById[events[i].id] = events[i];
+    }
+    
+    var layouts = this._layout.layOut(events);
+    var from = Calendar.getRange(this._date, this._options).from.getTime();
+    var range = this._options.virtual ? this.getVisibleRange() : null;
+    var visible = [];
+    for (var i=0; i < layouts.length; i++) {
+      var event = eventsById[layouts[i].id];
+      event.setLayout(layouts[i]);
+      event.selected = event.id === this._selectedId;
+      event.label = this._getLabel(event, from);
+      this._setIsRendered(event);
+      if (range === null || Event.isColliding(event, range)) {
+        visible.push(event);
+      } else {
+        this._detachElement(event.id);
+      }
+    }
+    this._patch(visible);
+  };
+  
+  
+  /**
+   * Updates the elements of the given events. The element of an event is reused when
+   * the event was rendered before and only the changed properties are written. The
+   * elements of new events are created and inserted at once.
+   *
+   * @param {FB.ui.calendar.Event[]} events The laid out events.
+   */
+  Calendar.prototype._patch = function(events) {
+    var created = [];
+    var states = [];
+    for (var i=0; i < events.length; i++) {
+      if (this._eventElements[events[i].id]) {
+        states.push(events[i].getState());
+      } else {
+        created.push(events[i]);
+      }
+    }
+    
+    // The states are calculated before the first write, so that the DOM is written in one go
+    for (var i=0; i < states.length; i++) {
+      var id = states[i].id;
+      Calendar._update(this._eventElements[id], this._states[id], states[i]);
+      this._states[id] = states[i];
+    }
+    
+    if (created.length > 0) {
+      var html = [];
+      for (var i=0; i < created.length; i++) {
+        html.push(created[i].render());
+        this._states[created[i].id] = created[i].getState();
+      }
+      var container = document.createElement("div");
+      container.innerHTML = html.join("");
+      var fragment = document.createDocumentFragment();
+      while (container.firstChild) {
+        this._eventElements[container.firstChild.id] = container.firstChild;
+        fragment.appendChild(container.firstChild);
+      }
+      this._eventsElement.appendChild(fragment);
+    }
+  };
+  
+  
+  /**
+   * Writes the changed properties of an event state to its element.
+   *
+   * @param {Element} element The element of the event.
+   * @param {Object} oldState The state the element was rendered with.
+   * @param {Object} state The new state. See FB.ui.calendar.Event#getState.
+   */
+  Calendar._update = function(element, oldState, state) {
+    var properties = ["top", "left", "width", "height"];
+    for (var i=0; i < properties.length; i++) {
+      if (state[properties[i]] !== oldState[properties[i]]) {
+        element.style[properties[i]] = state[properties[i]] + "px";
+      }
+    }
+    if (state.className !== oldState.className) {
+      element.className = state.className;
+    }
+    if (state.selected !== oldState.selected) {
+      element.setAttribute("aria-selected", String(state.selected));
+    }
+    if (state.label !== oldState.label) {
+      element.setAttribute("aria-label", state.label);
+    }
+    if (state.html !== oldState.html) {
+      element.innerHTML = state.html;
+    }
+  };
+  
+  
+  /** @exports WeekView as FB.ui.calendar.WeekView */
+  var WeekView = 
     /**
-     * Element util class. Provides helper methods for DOM Elements.
+     * The week view widget. Renders a column for each day of the week next to a shared
+     * timeline. Each column is a calendar on its own, so colliding events are laid out
+     * per day.
      *
      * @constructor
+     * @param {String} id The id of the week view dom element
+     * @param {Object[]} [events] The events to show in the week view. Each event consists of a unique id, the day
+     *                            of the event (Date), as well as a start and end time (measured in minutes from options.from).
+     *                            Alternatively the day can be omitted and absolute start and end times can be used.
+     * @param {Object} [options] Custom options. Will be merged with the default options.
      */
-    FB.Element = function() {}; 
-
+    FB.ui.calendar.WeekView = function(id, events, options) {
+    this._options = WeekView.mergeOptions(options);
+    this._events = events || [];
+    this._date = null;
+    
+    this._element = document.getElementById(id);
+    this._headerElement = document.createElement("div");
+    this._headerElement.className = this._options.headerCssClass;
+    this._element.appendChild(this._headerElement);
+    this._timelineElement = document.createElement("div");
+    this._timelineElement.className = this._options.timelineCssClass;
+    this._element.appendChild(this._timelineElement);
+    this._laneElement = document.createElement("div");
+    this._laneElement.className = this._options.laneCssClass;
+    this._laneElement.setAttribute("role", "listbox");
+    this._element.appendChild(this._laneElement);
+    this._banners = [];
+    
+    var days = this._options.days;
+    var width = Math.floor(this._options.width / days);
+    this._laneElement.style.left = (Calendar.isRtl(this._options) ? 0 : this._options.left) + "px";
+    if (Calendar.isRtl(this._options)) {
+      this._element.className += " " + this._options.rtlCssClass;
+      this._element.setAttribute("dir", "rtl");
+      this._timelineElement.style.left = (days * width + 5) + "px";
+    }
+    this._calendars = [];
+    for (var i=0; i < days; i++) {
+      var dayElement = document.createElement("div");
+      dayElement.className = this._options.dayCssClass;
+      dayElement.style.left = this._getLeft(i, width) + "px";
+      dayElement.style.width = width + "px";
+      this._element.appendChild(dayElement);
+      
+      this._calendars.push(new Calendar(dayElement, null, {
+        eventsCssClass : this._options.dayEventsCssClass,
+        height : this._options.height,
+        width : width - 10,
+        offset : this._options.offset,
+        from : this._options.from,
+        to : this._options.to,
+        expand : this._options.expand,
+        halfOpen : this._options.halfOpen,
+        timeZone : this._options.timeZone,
+        locale : this._options.locale,
+        rtl : Calendar.isRtl(this._options),
+        template : this._options.template,
+        snap : this._options.snap,
+        onChange : this._options.onChange,
+        draggable : this._options.draggable,
+        resizable : this._options.resizable,
+        minDuration : this._options.minDuration,
+        onResize : this._options.onResize,
+        creatable : this._options.creatable,
+        defaultDuration : this._options.defaultDuration,
+        onCreate : this._options.onCreate,
+        nowIndicator : this._options.nowIndicator,
+        nowInterval : this._options.nowInterval,
+        clock : this._options.clock,
+        bannerMinDuration : this._options.bannerMinDuration,
+        lane : false,
+        timeline : false
+      }));
+      this._listenTo(i);
+    }
+    
+    this.setDate(this._options.date || new Date());
+  };
+  
+  
   /**
-   * Returns the border width of a given element and the "Left", "Right", "Top", "Bottom" direction.
+   * Returns the default options of the week view widget. Used to merge
+   * with the custom options. Contains all default options of the calendar widget.
    *
-   * @param {Element} element The element to retrieve the border width from.
-   * @param {String} direction One of the following directions: "Left", "Right", "Top", "Bottom"
-   * @returns {Integer} The border width in pixels.
+   * @returns {Object} The default options.
+   * {
+   *   headerCssClass : "weekHeader",
+   *   dayCssClass : "day",
+   *   dayEventsCssClass : "dayEvents",
+   *   days : 7,
+   *   firstDay : 0,
+   *   date : null,
+   *   left : 85
+   * }
    */
-  Element.getBorderWidth = function(element, direction) {
-    if (element.currentStyle["border" + direction + "Style"] == "none")
-      return 0;
-    var n = parseInt(element.currentStyle["border" + direction + "Width"]);
-    return n || 0;
+  WeekView.getDefaultOptions = function() {
+    var options = Calendar.getDefaultOptions();
+    options.headerCssClass = "weekHeader";
+    options.dayCssClass = "day";
+    options.dayEventsCssClass = "dayEvents";
+    options.days = 7;
+    options.firstDay = 0;
+    options.date = null;
+    options.left = 85;
+    return options;
   };
   
-
+  
   /**
-   * Returns the left border width of a given element.
+   * This method is used to merge the custom options with the default
+   * options of the widget.
    *
-   * @param {Element} element The element to retrieve the border width from.
-   * @returns {Integer} The border width in pixels.
-   */  
-  Element.getBorderLeftWidth = function(element) {
-    return Element.getBorderWidth(element,"Left");
+   * @param {Object} options The options to merge with the default options.
+   * @returns {Object} The merged options.
+   */
+  WeekView.mergeOptions = function(options) {
+    var mergedOptions = WeekView.getDefaultOptions();
+    if (options != null) {
+      for (var key in options) {
+        mergedOptions[key] = options[key];
+      }
+    }
+    return mergedOptions;
+  };
+  
+  
+  /**
+   * Use this method to dispose the object.
+   */
+  WeekView.prototype.dispose = function() {
+    for (var i=0; i < this._calendars.length; i++) {
+      this._calendars[i].dispose();
+    }
+    this._calendars = null;
+    this._element = this._headerElement = this._timelineElement = this._laneElement = null;
+  };
+  
+  
+  /**
+   * Returns the first day shown in the week view.
+   *
+   * @returns {Date} The first day.
+   */
+  WeekView.prototype.getDate = function() {
+    return this._date;
+  };
+  
+  
+  /**
+   * Sets the date to show. When the week view shows 7 days, the week containing the
+   * date is shown, starting with options.firstDay. Otherwise the date is the first day shown.
+   *
+   * @param {Date|String} date The date to show. See FB.ui.calendar.Calendar.getDay.
+   */
+  WeekView.prototype.setDate = function(date) {
+    date = Calendar.getDay(date, this._options.timeZone);
+    var offset = 0;
+    if (this._options.days === 7) {
+      offset = (date.getDay() - this._options.firstDay + 7) % 7;
+    }
+    this._date = new Date(date.getFullYear(), date.getMonth(), date.getDate() - offset);
+    this.render();
+  };
+  
+  
+  /**
+   * Shows the next week (or the next options.days days).
+   */
+  WeekView.prototype.next = function() {
+    this._setDay(this._options.days);
+  };
+  
+  
+  /**
+   * Shows the previous week (or the previous options.days days).
+   */
+  WeekView.prototype.previous = function() {
+    this._setDay(-this._options.days);
+  };
+  
+  
+  /**
+   * Moves the first day shown by the given number of days.
+   *
+   * @param {Integer} days The number of days to move.
+   */
+  WeekView.prototype._setDay = function(days) {
+    this._date = WeekView.getDay(this._date, days);
+    this.render();
+  };
+  
+  
+  /**
+   * Returns the day that is the given number of days apart from a date.
+   *
+   * @param {Date} date The date to start from.
+   * @param {Integer} days The number of days to add.
+   * @returns {Date} The day at midnight.
+   */
+  WeekView.getDay = function(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+  };
+  
+  
+  /**
+   * Sets the events that should be shown in the week view.
+   *
+   * @param {Object[]} events The events to show in the week view.
+   */
+  WeekView.prototype.setEvents = function(events) {
+    this._events = events;
+    this.render();
+  };
+  
+  
+  /**
+   * Moves an event to another day and a new start time and keeps its duration. Notifies the
+   * "change" listeners of the calendar of the new day with the event, its old times and its
+   * new times. The times of events with a day contain the day as well.
+   *
+   * @param {Integer} id The id of the event to move.
+   * @param {Integer} day The index of the day column to move the event to.
+   * @param {Integer} start The new start time in minutes from the start of the displayed time range of the day.
+   * @returns {FB.ui.calendar.Event} The moved event. Returns 'null' if the week view contains no event data with
+   *                                 the given id or the event can not be moved to another day.
+   */
+  WeekView.prototype.moveEvent = function(id, day, start) {
+    var index = this._indexOf(id);
+    if (index < 0 || !this._isMovable(this._events[index])) {
+      return null;
+    }
+    
+    var data = Calendar._copy(this._events[index]);
+    var date = WeekView.getDay(this._date, day);
+    var oldTimes, changes;
+    if (data.day != null) {
+      oldTimes = {day : data.day, start : data.start, end : data.end};
+      changes = {day : date, start : start, end : start + data.end - data.start};
+    } else {
+      var timeZone = data.timeZone || this._options.timeZone;
+      var from = Calendar.getRange(date, this._options).from.getTime() + start * 60000;
+      oldTimes = {start : Time.parse(data.start, timeZone), end : Time.parse(data.end, timeZone)};
+      changes = {start : new Date(from), end : new Date(from + oldTimes.end.getTime() - oldTimes.start.getTime())};
+    }
+    for (var key in changes) {
+      data[key] = changes[key];
+    }
+    
+    this._events = this._events.slice();
+    this._events[index] = data;
+    this.render();
+    
+    var event = this._calendars[day].getEvent(id);
+    this._calendars[day].emit("change", event, oldTimes, changes);
+    return event;
+  };
+  
+  
+  /**
+   * Listens to the data changes of the calendar of a day column. Events that are added,
+   * removed, moved or resized in the column are written back to the event data of the
+   * week view, so that the changes are kept when the week is rendered again. Events that
+   * are dragged with the mouse are moved by the week view, so that they can change the day.
+   *
+   * @param {Integer} index The index of the day column.
+   */
+  WeekView.prototype._listenTo = function(index) {
+    var self = this;
+    var listener = function(event) {
+      self._syncEvent(index, event);
+    };
+    var types = ["add", "remove", "update"];
+    for (var i=0; i < types.length; i++) {
+      this._calendars[index].on(types[i], listener);
+    }
+    // The calendar of the day still moves the events with the keyboard
+    this._calendars[index]._startMove = function(e, event) {
+      self._startMove(e, index, event);
+    };
+  };
+  
+  
+  /**
+   * Writes the data of an event and of its recurring event from the calendar of a day
+   * column back to the event data of the week view. New events with minutes belong to
+   * the day of the column. The other days are rendered again, when the event is not
+   * bound to the day of the column.
+   *
+   * @param {Integer} index The index of the day column.
+   * @param {FB.ui.calendar.Event} event The added, removed or updated event.
+   */
+  WeekView.prototype._syncEvent = function(index, event) {
+    var calendar = this._calendars[index];
+    var ids = event.seriesId != null ? [event.id, event.seriesId] : [event.id];
+    var render = false;
+    this._events = this._events.slice();
+    for (var i=0; i < ids.length; i++) {
+      var position = this._indexOf(ids[i]);
+      var data = calendar.getEventData(ids[i]);
+      if (data === null) {
+        if (position >= 0) {
+          render = render || this._events[position].day == null;
+          this._events.splice(position, 1);
+        }
+        continue;
+      }
+      
+      data = Calendar._copy(data);
+      if (position >= 0) {
+        this._events[position] = data;
+      } else {
+        if (data.day == null && typeof data.start == "number") {
+          data.day = WeekView.getDay(this._date, index);
+        }
+        this._events.push(data);
+      }
+      render = render || data.day == null;
+    }
+    if (render) {
+      this.render();
+    }
+  };
+  
+  
+  /**
+   * Returns the index of the event data with the given id.
+   *
+   * @param {Integer} id The id of the event.
+   * @returns {Integer} The index of the event data. Returns -1 if the week view contains no event data with the given id.
+   */
+  WeekView.prototype._indexOf = function(id) {
+    for (var i=0; i < this._events.length; i++) {
+      if (this._events[i].id == id) {
+        return i;
+      }
+    }
+    return -1;
+  };
+  
+  
+  /**
+   * Checks whether an event can be moved to another day. Events with a day and events
+   * with absolute times can be moved. Events with minutes but without a day are bound
+   * to the first shown day.
+   *
+   * @param {Object} data The event data.
+   * @returns {Boolean} True when the event can be moved to another day.
+   */
+  WeekView.prototype._isMovable = function(data) {
+    return data.day != null || typeof data.start != "number";
+  };
+  
+  
+  /**
+   * Starts to move an event. The event can be moved vertically to a new time and
+   * horizontally to another day. The event is moved when the mouse button is released.
+   *
+   * @param {Event} e The native mousedown event.
+   * @param {Integer} index The index of the day column of the event.
+   * @param {FB.ui.calendar.Event} event The event to move.
+   */
+  WeekView.prototype._startMove = function(e, index, event) {
+    var self = this;
+    var calendar = this._calendars[index];
+    var element = calendar.getEventElement(event.id);
+    var className = element.className;
+    var width = Math.floor(this._options.width / this._options.days);
+    var dataIndex = this._indexOf(event.id);
+    var movable = dataIndex >= 0 && this._isMovable(this._events[dataIndex]);
+    var day = index;
+    var start = event.start;
+    element.className += " " + this._options.draggingCssClass;
+    
+    var reset = function() {
+      element.className = className;
+      element.style.top = event.top + "px";
+      element.style.left = event.left + "px";
+    };
+    
+    new Drag(e, function(x, y) {
+      if (movable) {
+        var offset = Math.round(x / width) * (Calendar.isRtl(self._options) ? -1 : 1);
+        day = Math.max(0, Math.min(index + offset, self._options.days - 1));
+      }
+      start = calendar.getDropStart(event, y);
+      element.style.top = calendar.getTop(start) + "px";
+      element.style.left = (event.left + self._getLeft(day, width) - self._getLeft(index, width)) + "px";
+    }, function(x, y) {
+      if (day === index && start === event.start) {
+        reset();
+      } else if (movable) {
+        // The event data of the week view is changed, so that the move is kept when the week is rendered again
+        self.moveEvent(event.id, day, start);
+      } else {
+        element.className = className;
+        calendar.moveEvent(event.id, start);
+      }
+    }, reset);
   };
-
-
+  
+  
   /**
-   * Returns the right border width of a given element.
+   * Returns the calendar widget that renders a certain day column.
    *
-   * @param {Element} element The element to retrieve the border width from.
-   * @returns {Integer} The border width in pixels.
-   */  
-  Element.getBorderRightWidth = function(element) {
-    return Element.getBorderWidth(element,"Right");
+   * @param {Integer} index The index of the day column.
+   * @returns {FB.ui.calendar.Calendar} The calendar of the day.
+   */
+  WeekView.prototype.getCalendar = function(index) {
+    return this._calendars[index];
   };
-
-
+  
+  
   /**
-   * Returns the top border width of a given element.
-   *
-   * @param {Element} element The element to retrieve the border width from.
-   * @returns {Integer} The border width in pixels.
-   */  
-  Element.getBorderTopWidth = function(element) {
-    return Element.getBorderWidth(element,"Top");
+   * Renders the week view. The events of each shown day are laid out in the
+   * column of the day.
+   */
+  WeekView.prototype.render = function() {
+    var days = this._options.days;
+    var eventsByDay = [];
+    for (var i=0; i < days; i++) {
+      eventsByDay.push([]);
+    }
+    
+    for (var i=0; i < this._events.length; i++) {
+      var event = this._events[i];
+      if (event.day == null) {
+        // Events with absolute times are filtered and clipped by the calendars of the days they touch
+        var shown = this._getShownDays(event);
+        for (var j=0; j < days; j++) {
+          if (shown[j]) {
+            eventsByDay[j].push(event);
+          }
+        }
+        continue;
+      }
+      var index = this._getIndex(Time.getDay(Time.parse(event.day)));
+      if (index >= 0 && index < days) {
+        eventsByDay[index].push(event);
+      }
+    }
+    
+    Calendar.drawTimeline(this._timelineElement, this._options, this._date);
+    
+    var html = [];
+    var width = Math.floor(this._options.width / days);
+    this._drawLane(width);
+    for (var i=0; i < days; i++) {
+      var date = WeekView.getDay(this._date, i);
+      html.push("<div style='left:" + this._getLeft(i, width) + "px; width:" + width + "px;'>" + WeekView.getDayName(date, this._options.locale) + " " + (date.getMonth() + 1) + "/" + date.getDate() + "</div>");
+      
+      this._calendars[i].setDate(Time.formatDay(date), eventsByDay[i]);
+    }
+    this._headerElement.innerHTML = html.join("");
   };
-
-
+  
+  
   /**
-   * Returns the bottom border width of a given element.
+   * Returns the index of the day column of a day.
    *
-   * @param {Element} element The element to retrieve the border width from.
-   * @returns {Integer} The border width in pixels.
-   */  
-  Element.getBorderBottomWidth = function(element) {
-    return Element.getBorderWidth(element,"Bottom");
+   * @param {Date} day The day at midnight.
+   * @returns {Integer} The index. Outside of 0 to options.days - 1 for days that are not shown.
+   */
+  WeekView.prototype._getIndex = function(day) {
+    return Math.round((day.getTime() - this._date.getTime()) / 86400000);
   };
   
-
+  
   /**
-   * Returns the padding of a given element and the "Left", "Right", "Top", "Bottom" direction.
+   * Returns the shown days an event without a day may appear on. Events with times in minutes
+   * appear on the first shown day only, as each event id may appear once in the week. Recurring
+   * events are expanded for the shown days.
    *
-   * @param {Element} element The element to retrieve the padding from.
-   * @param {String} direction One of the following directions: "Left", "Right", "Top", "Bottom"
-   * @returns {Integer} The padding in pixels.
+   * @param {Object} data The event data.
+   * @returns {Boolean[]} A flag for each shown day.
    */
-  Element.getPadding = function(element,direction) {
-    var n = parseInt(element.currentStyle["padding" + direction]);
-    return n || 0;
-  }
+  WeekView.prototype._getShownDays = function(data) {
+    var self = this;
+    var options = this._options;
+    var shown = [];
+    if (typeof data.start == "number") {
+      shown[0] = true;
+      return shown;
+    }
+    if (Calendar.isBanner(data, options)) {
+      var covered = Calendar.getBannerDays(new Event(data, options.timeZone), options);
+      for (var i=Math.max(this._getIndex(covered.from), 0); i < Math.min(this._getIndex(covered.to), options.days); i++) {
+        shown[i] = true;
+      }
+      return shown;
+    }
+    
+    var getIndex = function(date) {
+      var parts = TimeZone.getParts(options.timeZone, date);
+      return self._getIndex(new Date(parts.year, parts.month, parts.day));
+    };
+    var occurrences = [data];
+    if (data.rrule) {
+      var last = WeekView.getDay(this._date, options.days - 1);
+      occurrences = Recurrence.expand(data, Calendar.getRange(this._date, options).from, Calendar.getRange(last, options).to, options.timeZone);
+    }
+    
+    for (var i=0; i < occurrences.length; i++) {
+      var timeZone = occurrences[i].timeZone || options.timeZone;
+      // The displayed range of a day may reach into the neighbouring days
+      var from = Math.max(getIndex(Time.parse(occurrences[i].start, timeZone)) - 1, 0);
+      var to = Math.min(getIndex(Time.parse(occurrences[i].end, timeZone)) + 1, options.days - 1);
+      for (var j=from; j <= to; j++) {
+        shown[j] = true;
+      }
+    }
+    return shown;
+  };
   
   
   /**
-   * Returns the left padding of a given element.
+   * Draws the banners, e.g. all-day events, into the lane above the days. Banners span
+   * the days they cover.
    *
-   * @param {Element} element The element to retrieve the padding from.
-   * @returns {Integer} The border width in pixels.
-   */  
-  Element.getPaddingLeft = function(element) {
-    return Element.getPadding(element,"Left");
-  }
-
-
+   * @param {Integer} width The width of a day column.
+   */
+  WeekView.prototype._drawLane = function(width) {
+    var banners = [];
+    for (var i=0; i < this._events.length; i++) {
+      if (Calendar.isBanner(this._events[i], this._options)) {
+        banners.push(new Event(this._events[i], this._options.timeZone));
+      }
+    }
+    var days = this._options.days;
+    this._banners = Calendar.drawLane(this._laneElement, banners, this._date, days, days * width, 0, this._options);
+  };
+  
+  
   /**
-   * Returns the right padding of a given element.
+   * Returns the banners that cover one of the shown days, e.g. all-day events.
    *
-   * @param {Element} element The element to retrieve the padding from.
-   * @returns {Integer} The border width in pixels.
+   * @returns {FB.ui.calendar.Event[]} The banners.
    */
-  Element.getPaddingRight = function(element) {
-    return Element.getPadding(element,"Right");
-  }
-
-
+  WeekView.prototype.getBanners = function() {
+    return this._banners;
+  };
+  
+  
   /**
-   * Returns the top padding of a given element.
+   * Returns the left position of a day column. Right to left week views show the first
+   * day on the right side and the timeline right of the days.
    *
-   * @param {Element} element The element to retrieve the padding from.
-   * @returns {Integer} The border width in pixels.
+   * @param {Integer} index The index of the day.
+   * @param {Integer} width The width of a day column.
+   * @returns {Integer} The left position of the day column.
    */
-  Element.getPaddingTop = function(element) { 
-    return Element.getPadding(element,"Top");
-  }
+  WeekView.prototype._getLeft = function(index, width) {
+    if (Calendar.isRtl(this._options)) {
+      return (this._options.days - 1 - index) * width;
+    }
+    return this._options.left + index * width;
+  };
   
   
   /**
-   * Returns the bottom padding of a given element.
-   *
-   * @param {Element} element The element to retrieve the padding from.
-   * @returns {Integer} The border width in pixels.
+   * The short names of the week days, starting with sunday.
+   * @constant
    */
-  Element.getPaddingBottom = function(element) {
-    return Element.getPadding(element,"Bottom");
-  }
-
-
+  WeekView.DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+  
+  
   /**
-   * Returns the inset of a certain elemennt with a given class.
-   * 
-   * @param {String} className The class name that should be set on the element to test.
-   * @returns {Object} The inset of the element.
-   * {
-   *   borderLeft : {Integer},
-   *   borderRight : {Integer},
-   *   borderTop : {Integer},
-   *   borderBottom : {Integer},
-   *   paddingLeft : {Integer},
-   *   paddingRight : {Integer},
-   *   paddingTop : {Integer},
-   *   paddingBottom : {Integer}
-   * }
+   * Returns the short name of the week day of a date in a locale, e.g. "Mon" in "en" or
+   * "Mo." in "de". Falls back to WeekView.DAY_NAMES for locale objects, for locale names the
+   * browser does not know and for browsers without Intl.
+   *
+   * @param {Date} date The date.
+   * @param {String|Object} [locale] The locale name or a locale object. Defaults to "en".
+   * @returns {String} The name of the week day.
    */
-  Element.getInset = function(className) {
-    // we need to add the element to the body,otherwise element.currentStyle is null
-    var element = document.createElement("div");
-    element.className="event";
-  	document.body.appendChild(element);
-    var inset = {
-      borderLeft : Element.getBorderLeftWidth(element),
-      borderRight : Element.getBorderRightWidth(element),
-      borderTop : Element.getBorderTopWidth(element),
-      borderBottom : Element.getBorderBottomWidth(element),
-      paddingLeft : Element.getPaddingLeft(element),
-      paddingRight : Element.getPaddingRight(element),
-      paddingTop : Element.getPaddingTop(element),
-      paddingBottom : Element.getPaddingBottom(element) 
-    };
-    document.body.removeChild(element);
-    return inset;
+  WeekView.getDayName = function(date, locale) {
+    if (typeof locale == "string" && typeof Intl != "undefined" && Intl.DateTimeFormat) {
+      try {
+        return date.toLocaleDateString(locale, {weekday : "short"});
+      } catch (e) {
+        // Invalid locale names fall back to the english names
+      }
+    }
+    return WeekView.DAY_NAMES[date.getDay()];
   };
-
-
-  /** @exports Calendar as FB.ui.calendar.Calendar */
-  var Calendar = 
+  
+  
+  /** @exports MonthView as FB.ui.calendar.MonthView */
+  var MonthView = 
     /**
-     * The calendar widget. Renders events for a certain time. Colliding
-     * events are rendered corrosponding to the number of colliding event
-     * and the width of the calendar event container.
+     * The month view widget. Renders a grid of weeks containing the whole month. Each
+     * cell lists the events of the day ordered by their start time. When a cell
+     * contains more events than options.maxEvents, the remaining events are collapsed
+     * into a "+N more" link, which opens the day in options.dayView.
      *
      * @constructor
-     * @param {String} id The id of the calendar dom element
-     * @param {Object[]} [events] The events to show in the calendar.
+     * @param {String} id The id of the month view dom element
+     * @param {Object[]} [events] The events to show in the month view. Each event consists of a unique id, the day
+     *                            of the event (Date), as well as a start and end time (measured in minutes from options.from).
+     *                            Alternatively the day can be omitted and absolute start and end times can be used.
      * @param {Object} [options] Custom options. Will be merged with the default options.
      */
-    FB.ui.calendar.Calendar = function(id, events, options) {
-    this._events = null;
-    this._renderedEvents = {};
-    this._tree = null;
-  
-    this._options = Calendar.mergeOptions(options);
+    FB.ui.calendar.MonthView = function(id, events, options) {
+    this._options = MonthView.mergeOptions(options);
+    this._events = events || [];
+    this._date = null;
+    this._days = [];
+    this._buckets = {};
     
-    if (events != null) {
-      this.setEvents(events);
-    }
- 
     this._element = document.getElementById(id);
-    this._timelineElement = document.createElement("div");
-    this._timelineElement.className = this._options.timelineCssClass;
-    this._element.appendChild(this._timelineElement);
-    this._eventsElement = document.createElement("div");
-    this._eventsElement.className = this._options.eventsCssClass;
-    this._element.appendChild(this._eventsElement);
+    this._monthElement = document.createElement("div");
+    this._monthElement.className = this._options.monthCssClass;
+    this._element.appendChild(this._monthElement);
+    if (Calendar.isRtl(this._options)) {
+      this._element.className += " " + this._options.rtlCssClass;
+      this._element.setAttribute("dir", "rtl");
+    }
+    
+    var self = this;
+    this._clickHandler = Element.addListener(this._monthElement, "click", function(e) {
+      var target = Element.getTarget(e);
+      if (target.className == self._options.moreCssClass) {
+        self.showDay(self._days[parseInt(target.getAttribute("data-day"), 10)]);
+      }
+    });
     
-    this._drawTimeline();
+    this.setDate(this._options.date || new Date());
   };
   
   
   /**
-   * Returns the default options of the calendar widget. Used to merge
-   * with the custom options.
+   * Returns the default options of the month view widget. Used to merge
+   * with the custom options. Contains all default options of the calendar widget.
    *
    * @returns {Object} The default options.
    * {
-   *   timelineCssClass : "timeline",
-   *   eventsCssClass : "events",
-   *   height : 720,
-   *   width : 600,
-   *   from : 9,
-   *   to : 21
+   *   monthCssClass : "month",
+   *   moreCssClass : "more",
+   *   maxEvents : 3,
+   *   firstDay : 0,
+   *   date : null,
+   *   dayView : null
    * }
    */
-  Calendar.getDefaultOptions = function() {
-    return {
-      timelineCssClass : "timeline",
-      eventsCssClass : "events",
-      height : 720,
-      width : 600,
-      from : 9,
-      to : 21
-    };
+  MonthView.getDefaultOptions = function() {
+    var options = Calendar.getDefaultOptions();
+    options.monthCssClass = "month";
+    options.moreCssClass = "more";
+    options.maxEvents = 3;
+    options.firstDay = 0;
+    options.date = null;
+    options.dayView = null;
+    return options;
   };
   
   
@@ -888,8 +5650,8 @@ FB.util = FB.util || {};
    * @param {Object} options The options to merge with the default options.
    * @returns {Object} The merged options.
    */
-  Calendar.mergeOptions = function(options) {
-    var mergedOptions = Calendar.getDefaultOptions();
+  MonthView.mergeOptions = function(options) {
+    var mergedOptions = MonthView.getDefaultOptions();
     if (options != null) {
       for (var key in options) {
         mergedOptions[key] = options[key];
@@ -902,178 +5664,481 @@ FB.util = FB.util || {};
   /**
    * Use this method to dispose the object.
    */
-  Calendar.prototype.dispose = function() {
-    this._element = this._eventsElement = this._timelineElement = null;
+  MonthView.prototype.dispose = function() {
+    if (this._monthElement !== null) {
+      Element.removeListener(this._monthElement, "click", this._clickHandler);
+    }
+    this._element = this._monthElement = null;
+  };
+  
+  
+  /**
+   * Returns the first day of the shown month.
+   *
+   * @returns {Date} The first day of the month.
+   */
+  MonthView.prototype.getDate = function() {
+    return this._date;
+  };
+  
+  
+  /**
+   * Sets the month to show.
+   *
+   * @param {Date|String} date A date within the month to show. See FB.ui.calendar.Calendar.getDay.
+   */
+  MonthView.prototype.setDate = function(date) {
+    this._setMonth(Calendar.getDay(date, this._options.timeZone), 0);
+  };
+  
+  
+  /**
+   * Shows the next month.
+   */
+  MonthView.prototype.next = function() {
+    this._setMonth(this._date, 1);
+  };
+  
+  
+  /**
+   * Shows the previous month.
+   */
+  MonthView.prototype.previous = function() {
+    this._setMonth(this._date, -1);
+  };
+  
+  
+  /**
+   * Shows the month that is the given number of months apart from the month of a day.
+   *
+   * @param {Date} day The day.
+   * @param {Integer} months The number of months to move.
+   */
+  MonthView.prototype._setMonth = function(day, months) {
+    this._date = new Date(day.getFullYear(), day.getMonth() + months, 1);
+    this.render();
+  };
+  
+  
+  /**
+   * Sets the events that should be shown in the month view.
+   *
+   * @param {Object[]} events The events to show in the month view.
+   */
+  MonthView.prototype.setEvents = function(events) {
+    this._events = events;
+    this.render();
+  };
+  
+  
+  /**
+   * Returns the days shown in the grid, starting with the first day of the first week.
+   *
+   * @returns {Date[]} The shown days.
+   */
+  MonthView.prototype.getDays = function() {
+    return this._days;
+  };
+  
+  
+  /**
+   * Returns the events of a certain day, ordered by their start time. Banners, e.g.
+   * all-day events, come first.
+   *
+   * @param {Date} date The day.
+   * @returns {FB.ui.calendar.Event[]} The ordered events of the day.
+   */
+  MonthView.prototype.getEvents = function(date) {
+    var bucket = this._getBucket(date);
+    return bucket.banners.concat(Event.sort(bucket.events));
+  };
+  
+  
+  /**
+   * Returns the data of all events of a certain day.
+   *
+   * @param {Date} date The day.
+   * @returns {Object[]} The event data.
+   */
+  MonthView.prototype._getData = function(date) {
+    return this._getBucket(date).data.slice();
+  };
+  
+  
+  /**
+   * Returns the bucket of a day. The buckets of the shown days are created by render,
+   * the buckets of all other days on demand.
+   *
+   * @param {Date} date The day.
+   * @returns {Object} The bucket. See _createBuckets.
+   */
+  MonthView.prototype._getBucket = function(date) {
+    var day = Time.getDay(date);
+    return this._buckets[day.getTime()] || this._createBuckets([day])[day.getTime()];
   };
-
+  
   
   /**
-   * Draws the timeline of the calendar.
+   * Distributes the events to the days they are shown on. Each event is only checked
+   * against the days it covers, recurring events are expanded once for all days. The cells
+   * of the grid cover the whole days, events are not clipped to options.from and options.to.
+   *
+   * @param {Date[]} days The ordered days.
+   * @returns {Object} The buckets by the time of the day.
+   * {
+   *   data : {Object[]}, (the event data of the day)
+   *   banners : {FB.ui.calendar.Event[]},
+   *   events : {FB.ui.calendar.Event[]} (the unordered events of the timeline)
+   * }
    */
-  Calendar.prototype._drawTimeline = function() {
-    var from = this._options.from;
-    var to = this._options.to;
-    var range = (to-from) * 2;
-    var height = Math.floor(this._options.height / range);
-  
-    var html = [];
+  MonthView.prototype._createBuckets = function(days) {
+    var options = Calendar._copy(this._options);
+    options.from = 0;
+    options.to = 24;
+    var buckets = {};
+    for (var i=0; i < days.length; i++) {
+      buckets[days[i].getTime()] = {data : [], banners : [], events : []};
+    }
+    var first = days[0];
+    var last = days[days.length - 1];
+    var getDay = function(date) {
+      var parts = TimeZone.getParts(options.timeZone, date);
+      return new Date(parts.year, parts.month, parts.day);
+    };
+    var addData = function(bucket, data) {
+      if (bucket.data[bucket.data.length - 1] !== data) {
+        bucket.data.push(data);
+      }
+    };
     
-    for (var i = from; i <= to; i++) {
-      var time = Time.format(i);
-      
-      html.push("<div style='height:" + height + "px;'><span>" + time.hours  + ":00 </span><span class='subTitle'>" + time.suffix + "</span></div>");
-      
-      if (i < to) {
-        html.push("<div style='height:" + height + "px;'><span class='subTitle'>" + time.hours  + ":30</span></div>");
+    for (var i=0; i < this._events.length; i++) {
+      var data = this._events[i];
+      if (Calendar.isBanner(data, options)) {
+        var banner = new Event(data, options.timeZone);
+        var covered = Calendar.getBannerDays(banner, options);
+        for (var day = covered.from < first ? first : covered.from; day < covered.to && day <= last; day = WeekView.getDay(day, 1)) {
+          buckets[day.getTime()].data.push(data);
+          buckets[day.getTime()].banners.push(banner);
+        }
+      } else if (data.day != null) {
+        var day = Time.getDay(Time.parse(data.day));
+        var bucket = buckets[day.getTime()];
+        if (bucket) {
+          bucket.data.push(data);
+          bucket.events.push.apply(bucket.events, Calendar.createEvents(data, day, options));
+        }
+      } else {
+        var occurrences = [data];
+        if (data.rrule) {
+          occurrences = Recurrence.expand(data, Calendar.getRange(first, options).from, Calendar.getRange(last, options).to, options.timeZone);
+        }
+        for (var j=0; j < occurrences.length; j++) {
+          var timeZone = occurrences[j].timeZone || options.timeZone;
+          var from = getDay(Time.parse(occurrences[j].start, timeZone));
+          var to = getDay(Time.parse(occurrences[j].end, timeZone));
+          for (var day = from < first ? first : from; day <= to && day <= last; day = WeekView.getDay(day, 1)) {
+            var event = Calendar.createEvent(occurrences[j], day, options);
+            if (event !== null) {
+              addData(buckets[day.getTime()], data);
+              buckets[day.getTime()].events.push(event);
+            }
+          }
+        }
       }
     }
-  
-    this._timelineElement.innerHTML = html.join("");
+    return buckets;
   };
   
   
   /**
-   * Lays out events for a single day.
+   * Opens a day in the day view (options.dayView, a FB.ui.calendar.Calendar instance).
    *
-   * @param {Object[]} events An array of event objects. Each event object consists of a start time, end 
-   * Time (measured in minutes) from 9am, as well as a unique id. The 
-   * Start and end time of each event will be [0, 720]. The start time will 
-   * Be less than the end time.  The array is not sorted. 
-   * @returns {FB.ui.calendar.Event[]}  An array of event objects that has the width, the left and top positions set, 
-   * In addition to start time, end time, and id.
+   * @param {Date} date The day to open.
    */
-  Calendar.prototype.layOutDay = function(events) {
-    var events = this.setEvents(events);
-    this.render();
-    return events;
+  MonthView.prototype.showDay = function(date) {
+    var dayView = this._options.dayView;
+    if (dayView) {
+      dayView.setDate(Time.formatDay(date), this._getData(date));
+    }
   };
   
   
   /**
-   * Sets the events that should be shown in the event container of the
-   * calendar.
-   *
-   * @param {Object[]} events The events to show in the calendar.
-   * @returns {FB.ui.calendar.Event[]}  An array of event objects that has the width, the left and top positions set, 
-   * In addition to start time, end time, and id.
+   * Renders the month view. Shows 5 or 6 weeks, depending on the first weekday
+   * and the number of days of the month.
    */
-  Calendar.prototype.setEvents = function(events) {
-    var tree = this._tree = new Tree(Event.comparator);
+  MonthView.prototype.render = function() {
+    var options = this._options;
+    var month = this._date.getMonth();
+    var offset = (this._date.getDay() - options.firstDay + 7) % 7;
+    var length = new Date(this._date.getFullYear(), month + 1, 0).getDate();
+    var weeks = Math.max(5, Math.ceil((offset + length) / 7));
+    
+    var width = Math.floor(options.width / 7);
+    var height = Math.floor(options.height / weeks);
+    var rtl = Calendar.isRtl(options);
+    
+    this._days = [];
+    for (var i=0; i < weeks * 7; i++) {
+      this._days.push(WeekView.getDay(this._date, i - offset));
+    }
+    this._buckets = this._createBuckets(this._days);
+    
+    var html = [];
+    for (var i=0; i < weeks * 7; i++) {
+      var date = this._days[i];
+      var className = "monthDay" + (date.getMonth() !== month ? " otherMonth" : "");
+      html.push("<div class='" + className + "' style='top:" + (Math.floor(i / 7) * height) + "px; left:" + ((rtl ? 6 - i % 7 : i % 7) * width) + "px; width:" + width + "px; height:" + height + "px;'>");
+      html.push("<div class='subTitle'>" + date.getDate() + "</div>");
       
-    var length = events.length;
-  
-    for (var i=0; i < length; i++) {
-      var event = new Event(events[i]);
-      tree.insert(event);
+      var events = this.getEvents(date);
+      var shown = events.length > options.maxEvents ? options.maxEvents - 1 : events.length;
+      for (var j=0; j < shown; j++) {
+        if (Calendar.isBanner(events[j].data, options)) {
+          html.push("<div class='monthEvent monthBanner'>" + Template.escape(events[j].title) + "</div>");
+          continue;
+        }
+        var time = MonthView.formatTime(events[j], options);
+        html.push("<div class='monthEvent'><span class='subTitle'>" + time + "</span> " + Template.escape(events[j].title) + "</div>");
+      }
+      if (shown < events.length) {
+        html.push("<a class='" + options.moreCssClass + "' data-day='" + i + "'>+" + (events.length - shown) + " more</a>");
+      }
+      html.push("</div>");
     }
-  
-    this._events = tree.getOrderedData();    
-    return this._events;
+    
+    this._monthElement.innerHTML = html.join("");
   };
   
   
   /**
-   * Clears the calendar. Removes all events from the calendar canvas.
+   * Formats the start time of an event, e.g. "9:30 AM". Absolute start times are formatted
+   * in the time zone of the event, times in minutes are measured from options.from.
+   *
+   * @param {FB.ui.calendar.Event} event The event.
+   * @param {Object} options The options of the view. The from and locale options are used.
+   * @returns {String} The formated time.
    */
-  Calendar.prototype.clear = function() {
-    this._eventsElement.innerHTML = "";
-    this._renderedEvents = {};
+  MonthView.formatTime = function(event, options) {
+    if (event.startDate !== null) {
+      var parts = TimeZone.getParts(event.timeZone, event.startDate);
+      return Time.formatTime(parts.hours, parts.minutes, options.locale);
+    }
+    return Time.formatTime((options.from + Math.floor(event.start / 60)) % 24, event.start % 60, options.locale);
   };
   
   
-  /**
-   * Checks whether a certain event is rendered or not.
-   *
-   * @param {FB.ui.calendar.Event} event The event to check.
-   * @returns {Boolean} True when rendered.
-   */
-  Calendar.prototype.isRendered = function(event) {
-    return this._renderedEvents[event.id] === true;
+  /** @exports Layout as FB.ui.calendar.Layout */
+  var Layout = 
+    /**
+     * The layout engine of the calendar. Calculates the position and size of events
+     * without touching the DOM, so that it can be used by any renderer. Colliding
+     * events are placed in columns corrosponding to the number of colliding events
+     * and the available width.
+     *
+     * @constructor
+     * @param {Object} [options] Custom options. Will be merged with the default options.
+     */
+    FB.ui.calendar.Layout = function(options) {
+    this._options = Layout.mergeOptions(options);
   };
   
   
   /**
-   * Sets the rendered state of the event.
-   * 
-   * @param {FB.ui.calendar.Event} event The event that should be marked as rendered.
+   * Returns the default options of the layout engine. Used to merge
+   * with the custom options.
+   *
+   * @returns {Object} The default options.
+   * {
+   *   width : 600,
+   *   offset : 10,
+   *   scale : 1,
+   *   expand : false,
+   *   rtl : false,
+   *   bannerHeight : 22,
+   *   halfOpen : false
+   * }
    */
-  Calendar.prototype._setIsRendered = function(event) {
-    this._renderedEvents[event.id] = true;
+  Layout.getDefaultOptions = function() {
+    return {
+      width : 600,
+      offset : 10,
+      scale : 1,
+      expand : false,
+      rtl : false,
+      bannerHeight : 22,
+      halfOpen : false
+    };
   };
   
   
   /**
-   * Returns all colliding events for a certain event.
+   * This method is used to merge the custom options with the default
+   * options of the layout engine.
    *
-   * @param {FB.ui.calendar.Event} event The event to check collisons for.
-   * returns {FB.ui.calendar.Event[]} The collding events for the given event. 
+   * @param {Object} options The options to merge with the default options.
+   * @returns {Object} The merged options.
    */
-  Calendar.prototype.getCollisions = function(event) {
-    return this._tree.searchInterval(event);
+  Layout.mergeOptions = function(options) {
+    var mergedOptions = Layout.getDefaultOptions();
+    if (options != null) {
+      for (var key in options) {
+        mergedOptions[key] = options[key];
+      }
+    }
+    return mergedOptions;
   };
   
   
   /**
-   * Renders the calendar. All set events will be rendered in the calendar container.
+   * Lays out the given events. Events are sorted by their start time and split into
+   * collision groups. The events of a collision group are distributed over the columns
+   * of the group. With options.halfOpen, events that only touch each other start a new group.
+   *
+   * @param {Object[]} events The events to lay out. Each event consists of a unique id, a start and an end time.
+   * @returns {Object[]} The layout of each event, ordered by the start time.
+   * {
+   *   id : {Integer},
+   *   top : {Number},
+   *   left : {Number},
+   *   width : {Number},
+   *   height : {Number},
+   *   column : {Integer},
+   *   columns : {Integer}
+   * }
    */
-  Calendar.prototype.render = function() {
-    var events = this._events;
-    if (events === null) throw new Error("No events set");
-      
-    this.clear();
-  
-    var html = this._render(events);
-    this._eventsElement.innerHTML = html.join("");
+  Layout.prototype.layOut = function(events) {
+    var ordered = Event.sort(events);
+    var halfOpen = this._options.halfOpen;
+    
+    var layouts = [];
+    var bins = [];
+    var groupEnd = null;
+    for (var i=0; i < ordered.length; i++) {
+      var event = ordered[i];
+      // A new collision group starts when the event does not collide with any previous event
+      if (groupEnd !== null && (halfOpen ? event.start >= groupEnd : event.start > groupEnd)) {
+        layouts.push.apply(layouts, this._layOutGroup(bins));
+        bins = [];
+        groupEnd = null;
+      }
+      groupEnd = Math.max(groupEnd === null ? event.end : groupEnd, event.end);
+      this._addToBin(event, bins);
+    }
+    layouts.push.apply(layouts, this._layOutGroup(bins));
+    
+    return layouts.sort(function(layout1, layout2) {
+      return (layout1.top - layout2.top) || (layout1.column - layout2.column);
+    });
   };
   
   
   /**
-   * Protected render method. Used internally to render all events in a recursion.
-   * 
-   * @param {FB.ui.calendar.Event[]} events The events to render in this roundtrip.
-   * @param {Object[]} binsByRef The bins containing all collding events.
+   * Calculates the layout of banners, e.g. all-day events. Each banner covers the columns
+   * from its start column to its end column (exclusive). The banners are stacked in rows
+   * with the same first-fit bin logic as the columns of timed events.
+   *
+   * @param {Object[]} banners The banners. Each banner consists of a unique id, a start and an end column.
+   * @param {Integer} columns The number of columns, e.g. the number of days.
+   * @returns {Object[]} The layout of each banner, sorted by row.
+   * {
+   *   id : {Integer},
+   *   top : {Number},
+   *   left : {Number},
+   *   width : {Number},
+   *   height : {Number},
+   *   row : {Integer},
+   *   rows : {Integer}
+   * }
    */
-  Calendar.prototype._render = function(events, binsByRef) {
-    var html = [];
-  
-    var length = events.length;
-    for (var i=0; i < length ; i++)
-    {
-      var event = events[i];
-      var bins = binsByRef || [];
-      if (!this.isRendered(event))
-      {
-        this._setIsRendered(event);
-        this._addToBin(event, bins);
-  
-        var collisions = this.getCollisions(event);
-        if (collisions) {
-          html = html.concat(this._render(collisions, bins));    
-        }
-  
-        html = html.concat(this._renderEvents(bins));
-        }
+  Layout.prototype.layOutBanners = function(banners, columns) {
+    var options = this._options;
+    // Longer banners are stacked first, so that they are placed in the upper rows
+    var ordered = banners.slice().sort(function(banner1, banner2) {
+      return (banner1.start - banner2.start) || (banner2.end - banner1.end);
+    });
+    
+    var bins = [];
+    for (var i=0; i < ordered.length; i++) {
+      this._addToBin(ordered[i], bins);
+    }
+    
+    var layouts = [];
+    var width = options.width / columns;
+    for (var row = 0; row < bins.length; row++) {
+      var events = bins[row].events;
+      for (var i = 0; i < events.length; i++) {
+        var start = Math.max(0, events[i].start);
+        var end = Math.min(columns, events[i].end);
+        layouts.push({
+          id : events[i].id,
+          top : row * options.bannerHeight,
+          left : options.rtl ? options.width - end * width : start * width + options.offset,
+          width : (end - start) * width,
+          height : options.bannerHeight,
+          row : row,
+          rows : bins.length
+        });
+      }
     }
-    return html;
+    return layouts;
   };
   
   
   /**
-   * Renders the events.
+   * Calculates the layout of all events of a collision group.
    *
    * @param {Object[]} bins The bins containing all collding events.
+   * @returns {Object[]} The layout of each event.
    */
-  Calendar.prototype._renderEvents = function(bins) {
-    var html = [];
+  Layout.prototype._layOutGroup = function(bins) {
+    var options = this._options;
+    var layouts = [];
+    var width = options.width / bins.length;
     for (var level = 0; level < bins.length; level++) {
-      var bin = bins[level];
-      var events = bin.events;
+      var events = bins[level].events;
+      for (var i = 0; i < events.length; i++) {
+        var span = options.expand ? this._getSpan(events[i], level, bins) : 1;
+        // Right to left layouts are mirrored, the offset is on the right side
+        var left = options.rtl ? options.width - (level + span) * width : (level * width) + options.offset;
+        layouts.push({
+          id : events[i].id,
+          top : events[i].start * options.scale,
+          left : left,
+          width : width * span,
+          height : (events[i].end - events[i].start) * options.scale,
+          column : level,
+          columns : bins.length
+        });
+      }
+    }
+    return layouts;
+  };
+
+
+  /**
+   * Returns the number of columns an event can span. Starting with the column of the
+   * event, all adjacent columns to the right are added, as long as they are free for
+   * the whole duration of the event.
+   *
+   * @param {Object} event The event to calculate the span for.
+   * @param {Integer} level The column of the event.
+   * @param {Object[]} bins The bins containing all collding events.
+   * @returns {Integer} The number of columns.
+   */
+  Layout.prototype._getSpan = function(event, level, bins) {
+    var span = 1;
+    for (var column = level + 1; column < bins.length; column++) {
+      var events = bins[column].events;
       for (var i = 0; i < events.length; i++) {
-        var width = this._options.width / (bins.length);
-        html.push(events[i].render(width, level));
+        // Events in the same bin may touch each other, so touching events do not block a column
+        if (events[i].start < event.end && events[i].end > event.start) {
+          return span;
+        }
       }
+      span++;
     }
-    return html;	
+    return span;
   };
 
 
@@ -1083,10 +6148,10 @@ FB.util = FB.util || {};
    * a time slot and has a maximum, which equals the end time of the last
    * added event.
    *
-   * @param {FB.ui.calendar.Event[]} event The event to add to a bin.
+   * @param {Object} event The event to add to a bin.
    * @param {Object[]} bins All existing bins.
    */
-  Calendar.prototype._addToBin = function(event, bins) {
+  Layout.prototype._addToBin = function(event, bins) {
     var length = bins.length;
     
     var added = false;
@@ -1109,8 +6174,6 @@ FB.util = FB.util || {};
   };
   
   
-  
-  
   /** @exports Event as FB.ui.calendar.Event */
   var Event = 
     /**
@@ -1119,10 +6182,15 @@ FB.util = FB.util || {};
      * @constructor
      * @param event The event object to wrap.
      * @param event.id The unique id of the event.
-     * @param event.start The start time of the event.
-     * @param event.end The end time of the event.
+     * @param event.start The start time of the event. Either minutes or an absolute time (Date or ISO 8601 string).
+     * @param event.end The end time of the event. Either minutes or an absolute time (Date or ISO 8601 string).
+     * @param [event.timeZone] The time zone of the event. See FB.util.TimeZone.
+     * @param [event.title] The title of the event.
+     * @param [event.location] The location of the event.
+     * @param [event.description] The description of the event.
+     * @param {String} [timeZone] The time zone to use, when the event has no time zone.
      */
-    FB.ui.calendar.Event = function(event) {
+    FB.ui.calendar.Event = function(event, timeZone) {
       
       /**
        * The unique identifier of the event.
@@ -1131,17 +6199,51 @@ FB.util = FB.util || {};
       this.id = event.id;
       
       /**
-       * The start time of the event.
+       * The absolute start time of the event. 'null' when the event was created with minutes.
+       * @type Date
+       */
+      this.startDate = null;
+      
+      /**
+       * The absolute end time of the event. 'null' when the event was created with minutes.
+       * @type Date
+       */
+      this.endDate = null;
+      
+      /**
+       * The start time of the event in minutes.
        * @type Integer
        */
       this.start = event.start;
       
       /**
-       * The end time of the event.
+       * The end time of the event in minutes.
        * @type Integer
        */
       this.end = event.end;
       
+      /**
+       * The time zone of the event. Used to parse start and end times without a time zone.
+       * @type String
+       */
+      this.timeZone = event.timeZone || timeZone || null;
+      
+      /**
+       * Whether the event lasts all day. The start and end times of all-day events are days.
+       * @type Boolean
+       */
+      this.allDay = event.allDay === true;
+      
+      if (typeof event.start != "number") {
+        this.startDate = Time.parse(event.start, this.timeZone);
+        // All-day events without an end last one day
+        this.endDate = this.allDay && event.end == null ? new Date(this.startDate.getTime()) : Time.parse(event.end, this.timeZone);
+        // Until the event is clipped to a certain day, the minutes are measured from the midnight of the start day
+        var day = Time.getDay(this.startDate).getTime();
+        this.start = Math.round((this.startDate.getTime() - day) / 60000);
+        this.end = Math.round((this.endDate.getTime() - day) / 60000);
+      }
+      
       /**
        * The top coordinate of the event.
        * @type Integer
@@ -1172,6 +6274,109 @@ FB.util = FB.util || {};
        * @type Integer
        */
       this.duration = this.end - this.start;
+      
+      /**
+       * The title of the event.
+       * @type String
+       */
+      this.title = event.title || "";
+      
+      /**
+       * The location of the event.
+       * @type String
+       */
+      this.location = event.location || "";
+      
+      /**
+       * The description of the event.
+       * @type String
+       */
+      this.description = event.description || "";
+      
+      /**
+       * The id of the recurring event, when the event is an occurrence of a series.
+       * @type Integer
+       */
+      this.seriesId = event.seriesId != null ? event.seriesId : null;
+      
+      /**
+       * The original start time of the occurrence, when the event is an occurrence of a series.
+       * @type Date
+       */
+      this.recurrenceId = event.recurrenceId || null;
+      
+      /**
+       * The data the event was created with. Holds additional fields that can be used in templates.
+       * @type Object
+       */
+      this.data = event;
+      
+      /**
+       * The template of the event body. Either a string template (see FB.util.Template) or a function that
+       * gets called with the HTML-escaped values and the event and returns HTML. 'null' for the default template.
+       * @type String|Function
+       */
+      this.template = null;
+      
+      /**
+       * Whether the event is rendered with a resize handle.
+       * @type Boolean
+       */
+      this.resizable = false;
+      
+      /**
+       * Whether the event is selected.
+       * @type Boolean
+       */
+      this.selected = false;
+      
+      /**
+       * The accessible label of the event. Defaults to the title.
+       * @type String
+       */
+      this.label = null;
+  };
+  
+  
+  /**
+   * The default template of the event body.
+   * @constant
+   */
+  Event.TEMPLATE = "<div class='title'>{title}</div><div class='subTitle'>{location}</div><div>{description}</div>";
+  
+  
+  /**
+   * The CSS class of the resize handle of an event.
+   * @constant
+   */
+  Event.RESIZE_HANDLE_CSS_CLASS = "resizeHandle";
+  
+  
+  /**
+   * The CSS class of a selected event.
+   * @constant
+   */
+  Event.SELECTED_CSS_CLASS = "selected";
+  
+  
+  /**
+   * Clips an event with absolute start and end times to the given time range. The start and
+   * end time of the event are set to the minutes from the start of the range.
+   *
+   * @param {Date} from The start of the range.
+   * @param {Date} to The end of the range.
+   * @returns {Boolean} True when the event is within the range. False when not.
+   */
+  Event.prototype.clip = function(from, to) {
+    var start = Math.max(this.startDate.getTime(), from.getTime());
+    var end = Math.min(this.endDate.getTime(), to.getTime());
+    if (start >= end) {
+      return false;
+    }
+    this.start = Math.round((start - from.getTime()) / 60000);
+    this.end = Math.round((end - from.getTime()) / 60000);
+    this.duration = this.end - this.start;
+    return true;
   };
   
   
@@ -1214,6 +6419,36 @@ FB.util = FB.util || {};
   Event.comparator = function(event1, event2) {
     return (event1.start < event2.start) ? 0 : 1;
   };
+  
+  
+  /**
+   * Sorts events by their start time with Event.comparator. Events with the same
+   * start keep their order. Unlike a tree, the events do not need unique ids.
+   *
+   * @param {FB.ui.calendar.Event[]} events The events to sort.
+   * @returns {FB.ui.calendar.Event[]} A sorted copy of the events.
+   */
+  Event.sort = function(events) {
+    var items = [];
+    for (var i=0; i < events.length; i++) {
+      items.push({data : events[i], index : i});
+    }
+    items.sort(function(item1, item2) {
+      if (Event.comparator(item1.data, item2.data) === Node.LEFT) {
+        return -1;
+      }
+      if (Event.comparator(item2.data, item1.data) === Node.LEFT) {
+        return 1;
+      }
+      return item1.index - item2.index;
+    });
+    
+    var sorted = [];
+    for (var i=0; i < items.length; i++) {
+      sorted.push(items[i].data);
+    }
+    return sorted;
+  };
    
   
   /**
@@ -1221,9 +6456,13 @@ FB.util = FB.util || {};
    *
    * @param {FB.ui.calendar.Event} event1 The first event to compare.
    * @param {FB.ui.calendar.Event} event2 The second event to compare.
+   * @param {Boolean} [halfOpen] Whether the events are half-open intervals [start, end). Events that only touch each other do not collide then.
    * @returns {Boolean} True when the events collide. False when not.
    */
-  Event.isColliding = function(event1, event2) {
+  Event.isColliding = function(event1, event2, halfOpen) {
+    if (halfOpen) {
+      return event1.start < event2.end && event1.end > event2.start;
+    }
     if (event1.start <= event2.end && event1.end >= event2.start) {
       return true;
       }
@@ -1269,16 +6508,105 @@ FB.util = FB.util || {};
 
 
   /**
-   * Returns a HTML representation of the event.
+   * Sets the layout of the event. The width and height are adjusted to the
+   * real element size.
    *
+   * @param {Object} layout The layout calculated by FB.ui.calendar.Layout.
+   */
+  Event.prototype.setLayout = function(layout) {
+    this.width = this._getElementWidth(layout.width);
+    this.height = this._getElementHeight(layout.height);
+    this.left = layout.left;
+    this.top = layout.top;
+  };
+
+
+  /**
+   * Returns a HTML representation of the event. When no width and level are
+   * passed as arguments, the layout set by setLayout is used.
+   *
+   * @param {Integer} [width] The width of the event.
+   * @param {Integer} [level] The column of the event.
    * @returns {String} The HTML representation of the event.
    */  
   Event.prototype.render = function(width, level) {
-    this.width = this._getElementWidth(width);
-    this.height = this._getElementHeight(this.duration);
-    this.left = ((level * width) + 10);
-    this.top = this.start;
-    return "<div id='"+ this.id +"' class='event' style='top:" + this.top + "px; left:" + this.left + "px; width:" + this.width + "px; height:" + this.height + "px;'><div class='title'>Sample Item " + this.id +  "</div><div class='subTitle'>Sample Location</div><div></div></div>";
+    if (width != null) {
+      this.setLayout({
+        top : this.start,
+        left : ((level * width) + 10),
+        width : width,
+        height : this.duration
+      });
+    }
+    var state = this.getState();
+    return "<div id='"+ Template.escape(this.id) +"' class='" + state.className + "' role='option' tabindex='0' aria-selected='" + state.selected
+      + "' aria-label='" + Template.escape(state.label) + "' style='top:" + state.top + "px; left:" + state.left + "px; width:" + state.width
+      + "px; height:" + state.height + "px;'>" + state.html + "</div>";
+  };
+  
+  
+  /**
+   * Returns the state of the event element. Used to update the element of the event
+   * instead of rendering it again.
+   *
+   * @returns {Object} The state of the element.
+   * {
+   *   id : {Integer},
+   *   className : {String},
+   *   top : {Number},
+   *   left : {Number},
+   *   width : {Number},
+   *   height : {Number},
+   *   selected : {Boolean},
+   *   label : {String},
+   *   html : {String}
+   * }
+   */
+  Event.prototype.getState = function() {
+    return {
+      id : this.id,
+      className : "event" + (this.selected ? " " + Event.SELECTED_CSS_CLASS : ""),
+      top : this.top,
+      left : this.left,
+      width : this.width,
+      height : this.height,
+      selected : this.selected,
+      label : this.label || this.title,
+      html : this.renderBody() + (this.resizable ? "<div class='" + Event.RESIZE_HANDLE_CSS_CLASS + "'></div>" : "")
+    };
+  };
+  
+  
+  /**
+   * Returns the values of the event that can be used in templates. These are all fields of
+   * the event data as well as the id, title, location and description of the event.
+   *
+   * @returns {Object} The values of the event.
+   */
+  Event.prototype.getValues = function() {
+    var values = {};
+    for (var name in this.data) {
+      values[name] = this.data[name];
+    }
+    values.id = this.id;
+    values.title = this.title;
+    values.location = this.location;
+    values.description = this.description;
+    return values;
+  };
+  
+  
+  /**
+   * Returns the HTML of the event body rendered with the template of the event.
+   *
+   * @returns {String} The HTML of the event body.
+   */
+  Event.prototype.renderBody = function() {
+    var template = this.template || Event.TEMPLATE;
+    if (typeof template == "function") {
+      return template(Template.escapeValues(this.getValues()), this);
+    }
+    return Template.render(template, this.getValues());
   };
 
 })();
\ No newline at end of file